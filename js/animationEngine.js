@@ -1,6 +1,58 @@
+/**
+ * Easing curve per animation theme, shared by every spin display
+ * @param {string} theme - 'standard' | 'suspenseful' | 'dramatic' | 'playful' | 'funny'
+ * @param {Number} progress - 0..1
+ * @returns {Number} Eased progress (may overshoot 1 for 'playful' and 'funny')
+ */
+export const applyEasing = (theme, progress) => {
+    switch(theme) {
+        case 'suspenseful': {
+            // Fast start, very slow creep
+            return 1 - Math.pow(1 - progress, 6); // Quintic+
+        }
+        case 'dramatic': {
+            // Fast start, sudden brake, slow finish
+            // Exponential out
+            return progress === 1 ? 1 : 1 - Math.pow(2, -10 * progress);
+        }
+        case 'playful': {
+            // Elastic out
+            const c4 = (2 * Math.PI) / 3;
+            return progress === 0 ? 0 : progress === 1 ? 1 : Math.pow(2, -10 * progress) * Math.sin((progress * 10 - 0.75) * c4) + 1;
+        }
+        case 'funny': {
+            // Back out (Overshoot)
+            const c1 = 1.70158;
+            const c3 = c1 + 1;
+            return 1 + c3 * Math.pow(progress - 1, 3) + c1 * Math.pow(progress - 1, 2);
+        }
+        case 'standard':
+        default:
+            // Cubic Out
+            return 1 - Math.pow(1 - progress, 3);
+    }
+};
+
+/**
+ * Progress (0..1) at which a theme's easing curve first reaches a value.
+ * Used to schedule discrete steps (card flips, elimination rounds) along a curve.
+ */
+export const easingProgressAt = (theme, value) => {
+    const steps = 1000;
+    for (let i = 0; i <= steps; i++) {
+        if (applyEasing(theme, i / steps) >= value) return i / steps;
+    }
+    return 1;
+};
+
+// Cards kept rendered beyond each edge of the viewport
+const OVERSCAN = 3;
+
 /**
  * Handles the linear motion animation for the picker.
  * Uses requestAnimationFrame for smooth 60fps performance.
+ * The track is an endless strip of logical indices drawn with a small,
+ * fixed pool of card elements that are recycled as they scroll out of view.
  */
 export class AnimationEngine {
     constructor(trackElement, cardWidth, gap) {
@@ -14,7 +66,8 @@ export class AnimationEngine {
         
         // Idle System
         this.isIdle = false;
-        this.idleSpeed = 0.5; // pixels per frame
+        this.baseIdleSpeed = 0.5; // pixels per frame, restored after a shuffle
+        this.idleSpeed = this.baseIdleSpeed;
         this.idleReqId = null;
         
         this.onTick = null; // Callback for sound
@@ -23,6 +76,87 @@ export class AnimationEngine {
         
         this.lastIndex = 0;
         this.totalItems = 20; // Default buffer
+
+        // Card recycling
+        this.renderItem = null; // (el, index) fills a card for a logical track index
+        this.pool = []; // Card elements
+        this.poolIndex = []; // Logical index each pooled card currently shows
+    }
+
+    /**
+     * Draw the track from a renderer instead of static children.
+     * Pass null to hand the track back (e.g. for a placeholder card).
+     * @param {Function|null} renderItem - (el, index) => void
+     */
+    setRenderer(renderItem) {
+        this.renderItem = renderItem;
+        this.pool = [];
+        this.poolIndex = [];
+        this.track.innerHTML = '';
+        this.track.classList.toggle('virtual-track', !!renderItem);
+        if (!renderItem) return;
+
+        this._ensurePool();
+        // Measure the real card size once; cards are laid out by index from here on
+        const width = this.pool[0].offsetWidth;
+        const gap = parseFloat(getComputedStyle(this.track).getPropertyValue('--card-gap'));
+        if (width) this.cardWidth = width;
+        if (!Number.isNaN(gap)) this.gap = gap;
+        this.itemSize = this.cardWidth + this.gap;
+        this.refresh();
+    }
+
+    /**
+     * Re-render every pooled card (the data behind the indices changed)
+     */
+    refresh() {
+        this.poolIndex.fill(null);
+        this._layout(this.position);
+    }
+
+    /**
+     * First and last logical index currently drawn (including overscan)
+     */
+    getRenderedRange() {
+        const drawn = this.poolIndex.filter(i => i !== null);
+        return { first: Math.min(...drawn), last: Math.max(...drawn) };
+    }
+
+    _viewportWidth() {
+        return (this.track.parentElement && this.track.parentElement.clientWidth) || window.innerWidth;
+    }
+
+    _ensurePool() {
+        const needed = Math.ceil(this._viewportWidth() / this.itemSize) + OVERSCAN * 2 + 1;
+        while (this.pool.length < needed) {
+            const el = document.createElement('div');
+            el.className = 'picker-card';
+            this.track.appendChild(el);
+            this.pool.push(el);
+            this.poolIndex.push(null);
+        }
+    }
+
+    /**
+     * Move pooled cards onto the indices visible at a track position.
+     * Index i always uses slot i % pool size, so only cards that scrolled
+     * out of view are re-rendered.
+     */
+    _layout(position) {
+        if (!this.renderItem) return;
+        this._ensurePool();
+
+        const size = this.pool.length;
+        const first = Math.floor((-position - this._viewportWidth() / 2) / this.itemSize) - OVERSCAN;
+        for (let index = first; index < first + size; index++) {
+            const slot = ((index % size) + size) % size;
+            if (this.poolIndex[slot] === index) continue;
+
+            const el = this.pool[slot];
+            this.poolIndex[slot] = index;
+            el.style.left = `${index * this.itemSize}px`;
+            this.renderItem(el, index);
+        }
     }
 
     setItemCount(count) {
@@ -53,7 +187,7 @@ export class AnimationEngine {
         
         if (this.position <= cycleThreshold) {
             // Reset position. We add exactly one full cycle length to jump back to "start"
-            // Visual continuity is maintained by the buffer cards at the end
+            // Visual continuity holds because the renderer maps indices modulo the cycle
             this.position += (this.itemSize * this.totalItems);
             
             // CRITICAL FIX: Reset lastIndex to prevent exit detection from breaking
@@ -61,6 +195,7 @@ export class AnimationEngine {
         }
         
         this.track.style.transform = `translateX(${this.position}px)`;
+        this._layout(this.position);
 
         // Sound Tick Check
         // Calculate abstract index for sound tick (just modulo visual wrap)
@@ -86,14 +221,20 @@ export class AnimationEngine {
         if(!this.idleReqId) this._idleLoop();
     }
 
+    setIdleSpeed(speed) {
+        this.baseIdleSpeed = speed;
+        this.idleSpeed = speed;
+    }
+
     resetIdleSpeed() {
-        this.idleSpeed = 0.5;
+        this.idleSpeed = this.baseIdleSpeed;
     }
 
     resetPosition() {
         this.position = 0;
         this.track.style.transform = `translateX(0px)`;
         this.lastIndex = 0;
+        this._layout(this.position);
     }
 
     /**
@@ -103,29 +244,6 @@ export class AnimationEngine {
         this.isSpinning = true;
         this.isIdle = false;
         
-        // --- ACCURACY FIX ---
-        // Dynamically measure the actual rendered size of cards to ensure perfect alignment
-        // This accounts for any CSS scaling, responsive changes, or zoom levels
-        const firstCard = this.track.firstElementChild;
-        if (firstCard) {
-            const rect = firstCard.getBoundingClientRect();
-            // We need width in context of the track's coordinate system
-            // Simple offsetWidth is reliable if no transforms on children
-            this.cardWidth = firstCard.offsetWidth;
-            
-            // Measure gap (check 2nd card if exists)
-            const secondCard = firstCard.nextElementSibling;
-            if (secondCard) {
-                const rect2 = secondCard.getBoundingClientRect();
-                // Assumes horizontal layout
-                this.gap = secondCard.offsetLeft - (firstCard.offsetLeft + firstCard.offsetWidth);
-            }
-            
-            this.itemSize = this.cardWidth + this.gap;
-            console.log(`Dynamic Measurement: Card=${this.cardWidth}, Gap=${this.gap}, Item=${this.itemSize}`);
-        }
-        // ---------------------
-
         const startPos = this.position;
         
         // Dynamic Center Alignment
@@ -150,41 +268,12 @@ export class AnimationEngine {
             const elapsed = time - startTime;
             const progress = Math.min(elapsed / duration, 1);
             
-            let ease;
-            
-            switch(theme) {
-                case 'suspenseful':
-                    // Very slow end
-                    // Quartic out with an extended tail? simply longer duration handled by caller?
-                    // Let's use specific bezier: fast start, VEERY slow creep
-                    // Bezier(0.1, 0.9, 0.1, 1.0)
-                   ease = 1 - Math.pow(1 - progress, 6); // Quintic+
-                   break;
-                case 'dramatic':
-                    // Fast start, sudden brake, slow finish
-                    // Exponential out
-                    ease = progress === 1 ? 1 : 1 - Math.pow(2, -10 * progress);
-                    break;
-                case 'playful':
-                    // Elastic out
-                    const c4 = (2 * Math.PI) / 3;
-                    ease = progress === 0 ? 0 : progress === 1 ? 1 : Math.pow(2, -10 * progress) * Math.sin((progress * 10 - 0.75) * c4) + 1;
-                    break;
-                case 'funny':
-                    // Back out (Overshoot)
-                     const c1 = 1.70158;
-                     const c3 = c1 + 1;
-                     ease = 1 + c3 * Math.pow(progress - 1, 3) + c1 * Math.pow(progress - 1, 2);
-                     break;
-                case 'standard':
-                default:
-                    // Cubic Out
-                    ease = 1 - Math.pow(1 - progress, 3);
-            }
+            const ease = applyEasing(theme, progress);
             
             const currentPos = startPos + (this.targetPosition - startPos) * ease;
             
             this.track.style.transform = `translateX(${currentPos}px)`;
+            this._layout(currentPos);
             
             // Sound
             const rawIndex = Math.abs(currentPos / this.itemSize);
@@ -198,6 +287,8 @@ export class AnimationEngine {
             if (progress < 1) {
                 requestAnimationFrame(animate);
             } else {
+                // Keep position in sync so a follow-up spin starts from here
+                this.position = this.targetPosition;
                 this.isSpinning = false;
                 if (this.onFinish) this.onFinish();
             }
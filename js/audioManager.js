@@ -107,6 +107,37 @@ export class AudioManager {
     });
   }
 
+  /**
+   * Play a "knockout" thud for an elimination round
+   * Pitch climbs as the rounds run out to build tension
+   * @param {number} round - 0-based round index
+   * @param {number} totalRounds
+   */
+  playElimination(round, totalRounds) {
+    if (this.muted) return;
+    this._ensureContext();
+
+    const osc = this.ctx.createOscillator();
+    const gain = this.ctx.createGain();
+
+    osc.connect(gain);
+    gain.connect(this.gainNode);
+
+    const progress = totalRounds > 1 ? round / (totalRounds - 1) : 1;
+    const freq = 160 + progress * 360;
+    const now = this.ctx.currentTime;
+
+    osc.type = "square";
+    osc.frequency.setValueAtTime(freq, now);
+    osc.frequency.exponentialRampToValueAtTime(freq / 2, now + 0.18);
+
+    gain.gain.setValueAtTime(0.15, now);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + 0.2);
+
+    osc.start(now);
+    osc.stop(now + 0.2);
+  }
+
   /* Resume context if suspended (browser policy) */
   _ensureContext() {
     if (this.ctx.state === "suspended") {
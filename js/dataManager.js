@@ -1,15 +1,670 @@
+import { StorageManager, SCHEMA_VERSION } from './storageManager.js';
+import { PickerLogic } from './pickerLogic.js';
+
+// UI settings persisted alongside the data
+export const DEFAULT_SETTINGS = {
+    theme: 'standard',
+    spinDuration: 15, // seconds
+    idleSpeed: null, // null keeps the engine's built-in idle speed
+    appTitle: '',
+    secureSeeds: false, // Draw seeds from crypto.getRandomValues
+    batchSize: 1, // Winners per spin
+    batchReveal: 'sequential', // 'sequential' (one by one on the track) | 'grid'
+    displayMode: 'track', // Spin display: 'track' (horizontal cards) | 'wheel' | 'slot' (three reels) | 'flip' (card grid) | 'elimination'
+    eliminationPerRound: 0, // Elimination display: knocked out per round, 0 = about ten rounds
+    weightDisplay: 'odds', // Weighted mode track: 'odds' (one card each with an odds bar) | 'duplicate' (one card per weight point)
+    filter: { shift: [], supervisor: [], tag: [] }, // Eligibility filter, empty list = any value
+    oddsOverlay: 'auto', // Chance badge on track cards: 'auto' (weighted draws) | 'on' | 'off'
+    fairness: { policy: 'none', draws: 5, days: 30 }, // History-based fairness, see PickerLogic.applyFairness
+    teamOptions: { by: 'count', value: 4, balanceBy: '' } // Team generator: 'count' (N teams) | 'size' (K per team), balanced by '' | 'shift' | 'supervisor' | 'tag'
+};
+
+// Marks a project backup file as ours
+const PROJECT_FILE_APP = 'randomizer-pro';
+
+// Ids as the app generates them; the UI writes them into attributes and handlers unescaped
+const SAFE_ID = /^[a-z0-9]+$/;
+const isSafeId = (id) => typeof id === 'string' && SAFE_ID.test(id);
+
+// Import targets, in the template's column order
+export const PARTICIPANT_FIELDS = [
+    { key: 'name', label: 'Name' },
+    { key: 'uid', label: 'UID' },
+    { key: 'supervisor', label: 'Supervisor' },
+    { key: 'shift', label: 'Shift' },
+    { key: 'tag', label: 'Tag' },
+    { key: 'weight', label: 'Weight' }
+];
+
+// Longest value accepted for any imported field
+const MAX_FIELD_LENGTH = 100;
+
+/**
+ * Thrown when an upload yields nothing importable.
+ * Carries the row-level issues so the UI can say what went wrong.
+ */
+export class ImportError extends Error {
+    constructor(message, issues = []) {
+        super(message);
+        this.name = 'ImportError';
+        this.issues = issues;
+    }
+}
+
+/**
+ * What's wrong with a single participant field value, or null if it's fine.
+ * Shared by import validation and direct edits.
+ */
+const fieldProblem = (key, value) => {
+    const { label } = PARTICIPANT_FIELDS.find(f => f.key === key);
+    if (key === 'name' && !value) return 'Missing name';
+    if (key === 'weight' && value !== '') {
+        const weight = Number(value);
+        if (!Number.isFinite(weight)) return `Weight "${value}" is not a number`;
+        if (weight < 0) return 'Weight cannot be negative';
+        if (weight === 0) return 'Weight must be greater than 0';
+    }
+    if (value.length > MAX_FIELD_LENGTH) return `${label} is longer than ${MAX_FIELD_LENGTH} characters`;
+    return null;
+};
+
+// Column positions assumed when a sheet has no header row
+const DEFAULT_COLUMN_ORDER = ['name', 'weight', 'uid', 'supervisor', 'shift', 'tag'];
+
+// Known header spellings per field, normalized (lowercase, alphanumerics only)
+const FIELD_ALIASES = {
+    name: ['name', 'fullname', 'employeename', 'employee', 'participant', 'participantname', 'staffname', 'person'],
+    uid: ['uid', 'id', 'idno', 'idnumber', 'employeeid', 'empid', 'empno', 'staffid', 'badge', 'badgeno', 'badgenumber', 'employeenumber'],
+    weight: ['weight', 'entries', 'tickets', 'chances', 'points'],
+    supervisor: ['supervisor', 'manager', 'lead', 'teamlead', 'reportsto', 'sup'],
+    shift: ['shift', 'schedule', 'shiftname'],
+    tag: ['tag', 'team', 'department', 'dept', 'group', 'role', 'category']
+};
+
+const normalizeHeader = (cell) => String(cell ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Edit distance between two strings (for fuzzy header matching)
+ */
+const levenshtein = (a, b) => {
+    const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let diag = prev[0];
+        prev[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const temp = prev[j];
+            prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diag = temp;
+        }
+    }
+    return prev[b.length];
+};
+
+/**
+ * How well a normalized header matches a field, 0 (no match) to 1 (exact alias)
+ */
+const scoreHeader = (header, field) => {
+    let best = 0;
+    FIELD_ALIASES[field].forEach(alias => {
+        let score = 0;
+        if (header === alias) {
+            score = 1;
+        } else if (alias.length >= 4 && header.includes(alias)) {
+            // "supervisorname" favours supervisor over name
+            score = 0.6 + 0.3 * (alias.length / header.length);
+        } else if (alias.length >= 4 && header.length >= 4) {
+            const similarity = 1 - levenshtein(header, alias) / Math.max(header.length, alias.length);
+            if (similarity >= 0.75) score = similarity * 0.9;
+        }
+        best = Math.max(best, score);
+    });
+    return best;
+};
+
+// What history can be filtered and grouped by: winner fields plus the prize
+const HISTORY_GROUPS = ['shift', 'supervisor', 'tag', 'prize'];
+
+const historyValue = (entry, field) => field === 'prize' ? entry.prize : entry.winner[field];
+
+// Longest daily timeline; longer spans are counted per month
+const MAX_TIMELINE_DAYS = 92;
+
+/**
+ * Wins per day (or per month over long spans), with empty buckets filled in
+ * @returns {Object} { unit: 'day' | 'month', buckets: [[label, count]] } oldest first
+ */
+const buildTimeline = (wins) => {
+    if (wins.length === 0) return { unit: 'day', buckets: [] };
+    const pad = (n) => String(n).padStart(2, '0');
+    const first = new Date(wins.reduce((min, h) => Math.min(min, h._rawDate), Infinity));
+    const last = new Date(wins.reduce((max, h) => Math.max(max, h._rawDate), -Infinity));
+    const unit = (last - first) / 86400000 > MAX_TIMELINE_DAYS ? 'month' : 'day';
+    const keyOf = (d) => unit === 'month'
+        ? `${d.getFullYear()}-${pad(d.getMonth() + 1)}`
+        : `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+    const counts = new Map();
+    const cursor = new Date(first.getFullYear(), first.getMonth(), unit === 'month' ? 1 : first.getDate());
+    while (cursor <= last) {
+        counts.set(keyOf(cursor), 0);
+        if (unit === 'month') cursor.setMonth(cursor.getMonth() + 1);
+        else cursor.setDate(cursor.getDate() + 1);
+    }
+    wins.forEach(h => counts.set(keyOf(h._rawDate), (counts.get(keyOf(h._rawDate)) || 0) + 1));
+    return { unit, buckets: [...counts] };
+};
+
+// Spin_History sheet headers (normalized) -> entry field
+const HISTORY_HEADERS = { time: 'time', date: 'time', winner: 'name', name: 'name', id: 'uid', uid: 'uid', prize: 'prize', status: 'status' };
+
+// ISO 8601 date-time, as history exports write it
+const ISO_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+// toLocaleString() text from older exports: "3/4/2025, 10:00:00 AM", "04.03.2025, 10:00:00", "2025/3/4 10:00:00"
+const LOCALE_TIME = /^(\d{1,4})[./-](\d{1,2})[./-](\d{1,4}),?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([ap])\.?\s?m\.?)?$/i;
+
+/**
+ * Older exports' locale time text as a local Date, or null if it isn't one.
+ * The file doesn't say whether "3/4/2025" is March or April, so the caller picks.
+ * @param {string} text
+ * @param {string} dateOrder - 'mdy' (US) or 'dmy', for dates with the year last
+ * @returns {Object|null} { date, ambiguous } - ambiguous when dateOrder decided the month
+ */
+const parseLocaleTime = (text, dateOrder) => {
+    const match = LOCALE_TIME.exec(text);
+    if (!match) return null;
+    const [, a, b, c, hours, minutes, seconds = '0', meridiem] = match;
+    let year, month, day;
+    if (a.length === 4) {
+        [year, month, day] = [a, b, c];
+    } else if (c.length === 4) {
+        [month, day] = dateOrder === 'dmy' ? [b, a] : [a, b];
+        year = c;
+    } else {
+        return null;
+    }
+
+    let hour = Number(hours);
+    if (meridiem) {
+        if (hour < 1 || hour > 12) return null;
+        hour = hour % 12 + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+    }
+    const date = new Date(Number(year), Number(month) - 1, Number(day), hour, Number(minutes), Number(seconds));
+    // Rejects 13th months, 31 Feb and 25 o'clock instead of rolling them over
+    if (date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day) || date.getHours() !== hour) return null;
+    return { date, ambiguous: c.length === 4 && a !== b && Number(a) <= 12 && Number(b) <= 12 };
+};
+
+/**
+ * A Time cell from a history sheet, or null if unreadable.
+ * Takes the ISO text the export writes, a date serial (local wall time) if the
+ * sheet was re-saved from Excel, or the locale text older exports wrote.
+ * @returns {Object|null} { date, ambiguous } - see parseLocaleTime
+ */
+const parseHistoryTime = (cell, dateOrder) => {
+    if (cell instanceof Date) return isNaN(cell) ? null : { date: cell, ambiguous: false };
+    if (typeof cell === 'number') {
+        const utc = new Date(Math.round((cell - 25569) * 86400000));
+        const date = new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate(), utc.getUTCHours(), utc.getUTCMinutes(), utc.getUTCSeconds());
+        return { date, ambiguous: false };
+    }
+    const text = String(cell ?? '').trim();
+    if (ISO_TIME.test(text)) {
+        const date = new Date(text);
+        return isNaN(date) ? null : { date, ambiguous: false };
+    }
+    return parseLocaleTime(text, dateOrder);
+};
+
+// Same winner in the same second is the same draw (exported times drop milliseconds)
+const historyKey = (winnerId, date) => `${winnerId}|${Math.floor(date.getTime() / 1000)}`;
+
+// Participant fields the eligibility filter can narrow by
+export const FILTER_FIELDS = ['shift', 'supervisor', 'tag'];
+
+// Max undoable steps kept in memory, and max participant/prize rows they may hold between them
+const UNDO_LIMIT = 50;
+const UNDO_ROW_LIMIT = 200000;
+
+const sameFields = (a, b) => {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+};
+
+/**
+ * What a command changed in a list of { id } rows: rows removed (with their
+ * old index), rows added (with their new index) and rows edited (before/after).
+ * Rows are copies, so later edits to the live list don't leak in.
+ */
+const diffRows = (before, after) => {
+    const beforeById = new Map(before.map(row => [row.id, row]));
+    const afterIds = new Set(after.map(row => row.id));
+    const diff = { removed: [], added: [], changed: [] };
+    before.forEach((row, index) => {
+        if (!afterIds.has(row.id)) diff.removed.push([index, row]);
+    });
+    after.forEach((row, index) => {
+        const old = beforeById.get(row.id);
+        if (!old) diff.added.push([index, { ...row }]);
+        else if (!sameFields(old, row)) diff.changed.push([old, { ...row }]);
+    });
+    return diff;
+};
+
+/**
+ * Step a list across a diff: drop one side's rows, swap edited rows and
+ * put the other side's rows back at their recorded positions
+ * @param {boolean} forward - true to redo, false to undo
+ */
+const applyRows = (list, { removed, added, changed }, forward) => {
+    const drop = new Set((forward ? removed : added).map(([, row]) => row.id));
+    const edits = new Map(changed.map(pair => [pair[0].id, forward ? pair[1] : pair[0]]));
+    const result = list
+        .filter(row => !drop.has(row.id))
+        .map(row => edits.has(row.id) ? { ...edits.get(row.id) } : row);
+    (forward ? added : removed).forEach(([index, row]) => result.splice(index, 0, { ...row }));
+    return result;
+};
+
+const diffSize = ({ participants, prizes }) =>
+    [participants, prizes].reduce((sum, d) => sum + d.removed.length + d.added.length + d.changed.length * 2, 0);
+
+// Stored draw pools between full snapshots; bounds how many diffs a verify replays
+const POOL_CHAIN_LIMIT = 100;
+
+/**
+ * A draw pool ([id, weight] pairs) as changes from an earlier pool:
+ * ids dropped, weights changed and pairs added at their new index.
+ * @returns {Object|null} { removed, weights, added }, or null when the kept
+ *   pairs changed order or the diff is no smaller than the pool itself
+ */
+const diffPool = (base, pool) => {
+    const poolWeights = new Map(pool);
+    const baseIds = new Set(base.map(([id]) => id));
+    const diff = { removed: [], weights: [], added: [] };
+    base.forEach(([id, weight]) => {
+        if (!poolWeights.has(id)) diff.removed.push(id);
+        else if (poolWeights.get(id) !== weight) diff.weights.push([id, poolWeights.get(id)]);
+    });
+    pool.forEach(([id, weight], index) => {
+        if (!baseIds.has(id)) diff.added.push([index, id, weight]);
+    });
+    if (diff.removed.length + diff.weights.length + diff.added.length >= pool.length) return null;
+    const rebuilt = applyPoolDiff(base, diff);
+    return rebuilt.every(([id, weight], i) => id === pool[i][0] && weight === pool[i][1]) ? diff : null;
+};
+
+const applyPoolDiff = (base, { removed, weights, added }) => {
+    const drop = new Set(removed);
+    const changed = new Map(weights);
+    const pool = base
+        .filter(([id]) => !drop.has(id))
+        .map(([id, weight]) => [id, changed.has(id) ? changed.get(id) : weight]);
+    added.forEach(([index, id, weight]) => pool.splice(index, 0, [id, weight]));
+    return pool;
+};
+
+// Duplicate detection keys
+const normalizeUid = (uid) => String(uid).trim().toLowerCase();
+const normalizeName = (name) => String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const buildDuplicateIndex = (list) => {
+    const index = { uid: new Map(), name: new Map() };
+    list.forEach(p => addToDuplicateIndex(index, p));
+    return index;
+};
+
+const addToDuplicateIndex = (index, p) => {
+    if (p.uid && !index.uid.has(normalizeUid(p.uid))) index.uid.set(normalizeUid(p.uid), p);
+    const key = normalizeName(p.name);
+    if (!index.name.has(key)) index.name.set(key, []);
+    index.name.get(key).push(p);
+};
+
+/**
+ * Same uid, or same normalized name when either side has no uid
+ */
+const findDuplicate = (p, index) => {
+    const sameName = index.name.get(normalizeName(p.name)) || [];
+    if (p.uid) {
+        return index.uid.get(normalizeUid(p.uid)) || sameName.find(q => !q.uid) || null;
+    }
+    return sameName[0] || null;
+};
+
+/**
+ * Everything that belongs to one event, empty
+ */
+const blankEventState = () => ({
+    participants: [],
+    historyLog: [],
+    drawPools: {},
+    prizes: [],
+    matching: null,
+    mode: 'random',
+    removeWinner: false,
+    settings: { ...DEFAULT_SETTINGS }
+});
+
 /**
  * Manages the state of participants, modes, and file parsing.
+ * State is kept per named event; the fields below always hold the active event.
  */
 export class DataManager {
-    constructor() {
+    constructor(storage = new StorageManager()) {
+        this.storage = storage;
         this.participants = []; // Array of { name, uid, supervisor, shift, tag, weight, id }
-        this.historyLog = []; // Array of { timestamp, winner, prize }
+        this.historyLog = []; // Array of { id, timestamp, winner, prize, prizeId, voided, forfeited, seed, poolHash, mode, drawMode, fairness }
+        this.drawPools = {}; // poolHash -> pool snapshot, or { base, ...diffPool } from an earlier one; shared by every draw from that pool
+        this.prizes = []; // Array of { id, name, quantity, remaining, image, order }
+        this.matching = null; // Secret santa: { seed, rules, createdAt, pairs: [{ giver, receiver, revealed }] }
         this.mode = 'random'; // 'random' | 'weighted'
         this.removeWinner = false; // Setting
+        this.settings = { ...DEFAULT_SETTINGS };
+        this.excludedIds = new Set(); // Participants sat out for this session (e.g. absent winners)
+
+        // Named events; the active one's state lives in the fields above, the others' in event.state
+        this.events = []; // Array of { id, name, archived, createdAt, state }
+        this.activeEventId = null;
+        this.importMappings = {}; // Normalized header -> field key, remembered from past imports in any event
+
+        // Whether the last save reached storage; onSaveStatus(ok) is called when it changes
+        this.saveOk = true;
+        this.onSaveStatus = null;
         
-        // Load default demo data if empty
-        this.loadDemoData();
+        // Undo/Redo (session only, not persisted)
+        this.undoStack = []; // Array of { label, participants, prizes (row diffs), before, after, entryIds }
+        this.redoStack = [];
+        this._inCommand = false;
+        
+        // Restore the previous session; demo data only on a true first run
+        if (!this.restore()) {
+            const event = { id: Math.random().toString(36).substr(2, 9), name: 'My Event', archived: false, createdAt: new Date().toISOString(), state: null };
+            this.events = [event];
+            this.activeEventId = event.id;
+            this.loadDemoData();
+            this.save();
+        }
+    }
+
+    /**
+     * Load state from storage
+     * @returns {boolean} true if a saved session was found
+     */
+    restore() {
+        const saved = this.storage.load();
+        if (!saved) return false;
+
+        this.events = saved.events;
+        this.importMappings = saved.importMappings || {};
+        this._activate(saved.activeEventId);
+        return true;
+    }
+
+    /**
+     * Persist every event
+     * @returns {boolean} false if the browser refused the write (quota, blocked storage)
+     */
+    save() {
+        const ok = this.storage.save({ ...this._payload(), importMappings: this.importMappings });
+        if (ok !== this.saveOk) {
+            this.saveOk = ok;
+            if (this.onSaveStatus) this.onSaveStatus(ok);
+        }
+        return ok;
+    }
+
+    /**
+     * Every event, the active one included, as stored
+     */
+    _payload() {
+        return {
+            activeEventId: this.activeEventId,
+            events: this.events.map(e => e.id === this.activeEventId ? { ...e, state: this._captureState() } : e)
+        };
+    }
+
+    /**
+     * The active event's state, as stored
+     */
+    _captureState() {
+        return {
+            participants: this.participants,
+            // Dates become ISO strings in JSON; _applyState() revives them
+            historyLog: this.historyLog,
+            drawPools: this.drawPools,
+            prizes: this.prizes,
+            matching: this.matching,
+            mode: this.mode,
+            removeWinner: this.removeWinner,
+            settings: this.settings
+        };
+    }
+
+    _applyState(state) {
+        this.participants = state.participants;
+        // Entries logged before history ids existed get one, so rows can be addressed by id
+        this.historyLog = state.historyLog.map(h => ({ ...h, id: h.id || Math.random().toString(36).substr(2, 9), _rawDate: new Date(h._rawDate) }));
+        this.drawPools = state.drawPools || {};
+        this.prizes = state.prizes;
+        this.matching = state.matching;
+        this.mode = state.mode;
+        this.removeWinner = state.removeWinner;
+        this.settings = { ...DEFAULT_SETTINGS, ...state.settings };
+    }
+
+    /**
+     * Make an event active: its stored state moves into the live fields.
+     * Session-only state (undo history, exclusions) does not carry across events.
+     */
+    _activate(id) {
+        const event = this.events.find(e => e.id === id) || this.events[0];
+        this._applyState(event.state);
+        event.state = null;
+        this.activeEventId = event.id;
+        this.excludedIds = new Set();
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    // Events
+
+    /**
+     * @returns {Array} { id, name, archived, createdAt }, oldest first
+     */
+    getEvents() {
+        return this.events.map(({ id, name, archived, createdAt }) => ({ id, name, archived, createdAt }));
+    }
+
+    getActiveEvent() {
+        return this.getEvents().find(e => e.id === this.activeEventId);
+    }
+
+    switchEvent(id) {
+        if (id === this.activeEventId || !this.events.some(e => e.id === id)) return;
+        this.events.find(e => e.id === this.activeEventId).state = this._captureState();
+        this._activate(id);
+        this.save();
+    }
+
+    /**
+     * Add an event and switch to it
+     * @param {string} name
+     * @param {Object} state - Initial state, blank by default
+     */
+    createEvent(name, state = blankEventState()) {
+        const event = { id: Math.random().toString(36).substr(2, 9), name: String(name).trim() || 'Untitled Event', archived: false, createdAt: new Date().toISOString(), state };
+        this.events.push(event);
+        this.switchEvent(event.id);
+        return this.getActiveEvent();
+    }
+
+    /**
+     * New event with the same roster, prizes (fully restocked) and settings, but no history
+     */
+    cloneEvent(id, name) {
+        const source = id === this.activeEventId ? this._captureState() : this.events.find(e => e.id === id).state;
+        return this.createEvent(name, {
+            ...blankEventState(),
+            participants: source.participants.map(p => ({ ...p })),
+            prizes: source.prizes.map(p => ({ ...p, remaining: p.quantity })),
+            mode: source.mode,
+            removeWinner: source.removeWinner,
+            settings: JSON.parse(JSON.stringify(source.settings))
+        });
+    }
+
+    renameEvent(id, name) {
+        const event = this.events.find(e => e.id === id);
+        if (!event || !String(name).trim()) return;
+        event.name = String(name).trim();
+        this.save();
+    }
+
+    /**
+     * Archive (or restore) an event. Archiving the active event switches to
+     * another open one, creating a fresh event if none is left.
+     */
+    setEventArchived(id, archived = true) {
+        const event = this.events.find(e => e.id === id);
+        if (!event) return;
+        event.archived = archived;
+
+        if (archived && id === this.activeEventId) {
+            const next = this.events.find(e => !e.archived);
+            if (next) this.switchEvent(next.id);
+            else this.createEvent('New Event');
+        } else {
+            this.save();
+        }
+    }
+
+    getSettings() {
+        return this.settings;
+    }
+
+    updateSettings(patch) {
+        this.settings = { ...this.settings, ...patch };
+        this.save();
+    }
+
+    // Undo / Redo
+
+    /**
+     * Run a mutation as one undoable step.
+     * Only the participant and prize rows it changed are kept (see diffRows), so
+     * big rosters don't fill memory. History entries created by the step are
+     * voided on undo rather than deleted.
+     * Nested commands (e.g. removeParticipant inside decrementWeight) fold into the outer one.
+     * @param {string} label - Shown in the undo/redo tooltips
+     * @param {Function} mutate
+     * @returns {*} Whatever mutate returns
+     */
+    runCommand(label, mutate) {
+        if (this._inCommand) return mutate();
+
+        const before = this._snapshot();
+        const historyLength = this.historyLog.length;
+        this._inCommand = true;
+        let result;
+        try {
+            result = mutate();
+        } finally {
+            this._inCommand = false;
+        }
+
+        // New entries are unshifted onto the front of the log
+        const entryIds = this.historyLog.slice(0, this.historyLog.length - historyLength).map(h => h.id);
+        const after = this._snapshot();
+        this.undoStack.push({
+            label,
+            participants: diffRows(before.participants, this.participants),
+            prizes: diffRows(before.prizes, this.prizes),
+            before: { excludedIds: before.excludedIds, forfeits: before.forfeits },
+            after: { excludedIds: after.excludedIds, forfeits: after.forfeits },
+            entryIds
+        });
+        // Oldest steps go first when over either limit; the newest is always kept
+        let rows = this.undoStack.reduce((sum, command) => sum + diffSize(command), 0);
+        while (this.undoStack.length > 1 && (this.undoStack.length > UNDO_LIMIT || rows > UNDO_ROW_LIMIT)) {
+            rows -= diffSize(this.undoStack.shift());
+        }
+        this.redoStack = [];
+        this.save();
+        return result;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    peekUndo() {
+        return this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null;
+    }
+
+    peekRedo() {
+        return this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null;
+    }
+
+    /**
+     * @returns {string|null} Label of the undone step
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        this._applyCommand(command, false);
+        this._setVoided(command.entryIds, true);
+        this.redoStack.push(command);
+        this.save();
+        return command.label;
+    }
+
+    /**
+     * @returns {string|null} Label of the redone step
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        this._applyCommand(command, true);
+        this._setVoided(command.entryIds, false);
+        this.undoStack.push(command);
+        this.save();
+        return command.label;
+    }
+
+    /**
+     * State before a command runs; only kept until runCommand diffs it
+     */
+    _snapshot() {
+        const forfeits = {};
+        this.historyLog.forEach(h => { if (h.forfeited) forfeits[h.id] = h.forfeited; });
+        return {
+            participants: this.participants.map(p => ({ ...p })),
+            prizes: this.prizes.map(p => ({ ...p })),
+            excludedIds: [...this.excludedIds],
+            forfeits
+        };
+    }
+
+    /**
+     * Replay a command's changes forward (redo) or backward (undo)
+     */
+    _applyCommand(command, forward) {
+        const state = forward ? command.after : command.before;
+        this.participants = applyRows(this.participants, command.participants, forward);
+        this.prizes = applyRows(this.prizes, command.prizes, forward);
+        this.excludedIds = new Set(state.excludedIds);
+        this.historyLog.forEach(h => { h.forfeited = state.forfeits[h.id] || null; });
+    }
+
+    _setVoided(entryIds, voided) {
+        this.historyLog.forEach(h => {
+            if (entryIds.includes(h.id)) h.voided = voided;
+        });
     }
 
     loadDemoData() {
@@ -29,54 +684,269 @@ export class DataManager {
         return this.participants;
     }
 
-    shuffleParticipants() {
-        for (let i = this.participants.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [this.participants[i], this.participants[j]] = [this.participants[j], this.participants[i]];
-        }
+    // Eligibility Filter
+
+    getFilter() {
+        return this.settings.filter;
     }
-    
+
+    setFilter(filter) {
+        this.updateSettings({ filter });
+    }
+
+    clearFilter() {
+        this.setFilter({ ...DEFAULT_SETTINGS.filter });
+    }
+
+    isFilterActive() {
+        return FILTER_FIELDS.some(field => this.settings.filter[field].length > 0);
+    }
+
+    /**
+     * Participants matching the filter. Fields combine with AND, values within a field with OR.
+     * Participants excluded for the session are never eligible.
+     */
+    getEligibleParticipants() {
+        const filter = this.settings.filter;
+        return this.participants.filter(p => !this.excludedIds.has(p.id) &&
+            FILTER_FIELDS.every(field => filter[field].length === 0 || filter[field].includes(p[field]))
+        );
+    }
+
+    /**
+     * What the next draw picks from: eligible participants after the fairness policy
+     * @returns {Object} { pool, mode } - mode is the draw mode, 'weighted' when the policy reduces odds
+     */
+    getDrawPool() {
+        return PickerLogic.applyFairness(this.getEligibleParticipants(), this.historyLog, this.settings.fairness, this.mode);
+    }
+
+    /**
+     * Chance of each participant winning the next single draw under the mode, filter and fairness policy
+     * @returns {Map} participant id -> probability; participants who can't win are missing
+     */
+    getDrawOdds() {
+        const { pool, mode } = this.getDrawPool();
+        return PickerLogic.getOdds(pool, mode);
+    }
+
+    /**
+     * Every participant with their chance of winning the next draw and, if they can't win, why
+     * @returns {Array} { participant, chance, weight (as entered into the draw), status }
+     */
+    getOddsTable() {
+        const { pool, mode } = this.getDrawPool();
+        const odds = PickerLogic.getOdds(pool, mode);
+        const drawn = new Map(pool.map(p => [p.id, p]));
+        const eligible = new Set(this.getEligibleParticipants().map(p => p.id));
+
+        return this.participants.map(p => {
+            let status = 'Eligible';
+            if (this.excludedIds.has(p.id)) status = 'Excluded this session';
+            else if (!eligible.has(p.id)) status = 'Filtered out';
+            else if (!drawn.has(p.id)) status = 'Held back by fairness policy';
+            return {
+                participant: p,
+                chance: odds.get(p.id) || 0,
+                weight: drawn.has(p.id) ? (mode === 'weighted' ? drawn.get(p.id).weight || 1 : 1) : 0,
+                status
+            };
+        });
+    }
+
+    /**
+     * Distinct values per filter field, including selected values no longer in the pool
+     * @returns {Object} { shift: [...], supervisor: [...], tag: [...] }
+     */
+    getFilterOptions() {
+        const options = {};
+        FILTER_FIELDS.forEach(field => {
+            const values = new Set(this.settings.filter[field]);
+            this.participants.forEach(p => { if (p[field]) values.add(p[field]); });
+            options[field] = [...values].sort();
+        });
+        return options;
+    }
+
     getHistory() {
         return this.historyLog;
     }
 
+    /**
+     * Pool snapshot a draw was made from, for verification
+     * @param {string} poolHash - From the history entry
+     * @returns {Array|null} [[id, weight]] pairs
+     */
+    getAuditPool(poolHash) {
+        return this._buildPool(this._poolChain(poolHash));
+    }
+
+    _buildPool({ snapshot, diffs }) {
+        return snapshot ? diffs.reduceRight((pool, diff) => applyPoolDiff(pool, diff), snapshot) : null;
+    }
+
+    /**
+     * The full snapshot a stored pool builds on, and the diffs from it, newest first
+     */
+    _poolChain(poolHash) {
+        const diffs = [];
+        let stored = this.drawPools[poolHash];
+        // The limit also stops a looping chain in a hand-edited project file
+        while (stored && !Array.isArray(stored) && diffs.length <= POOL_CHAIN_LIMIT) {
+            diffs.push(stored);
+            stored = this.drawPools[stored.base];
+        }
+        return { snapshot: Array.isArray(stored) ? stored : null, diffs };
+    }
+
+    /**
+     * Keep a draw pool for verification. Consecutive draws mostly share a pool
+     * bar the last winner or a weight, so it's stored as a diff from the
+     * previous draw's pool, with a full snapshot every POOL_CHAIN_LIMIT pools.
+     */
+    storeDrawPool(poolHash, pool) {
+        if (this.drawPools[poolHash]) return;
+        const previous = this.historyLog.find(h => h.poolHash && this.drawPools[h.poolHash]);
+        const chain = previous ? this._poolChain(previous.poolHash) : null;
+        const base = chain && chain.diffs.length < POOL_CHAIN_LIMIT ? this._buildPool(chain) : null;
+        const diff = base && diffPool(base, pool);
+        this.drawPools[poolHash] = diff ? { base: previous.poolHash, ...diff } : pool;
+    }
+
     setMode(mode) {
         this.mode = mode;
+        this.save();
     }
     
     setRemoveWinner(val) {
         this.removeWinner = val;
+        this.save();
+    }
+
+    /**
+     * Trim and check participant field values
+     * @param {Object} values - Any subset of PARTICIPANT_FIELDS keys
+     * @returns {Object} Clean values, weight as a number
+     * @throws {Error} With the first problem found
+     */
+    cleanParticipantValues(values) {
+        const clean = {};
+        PARTICIPANT_FIELDS.forEach(({ key }) => {
+            if (values[key] === undefined) return;
+            const value = String(values[key] ?? '').trim();
+            const problem = fieldProblem(key, value);
+            if (problem) throw new Error(problem);
+            clean[key] = key === 'weight' ? (value ? Number(value) : 1) : value;
+        });
+        return clean;
+    }
+
+    /**
+     * Add a single participant
+     * @param {Object} values - { name, uid, supervisor, shift, tag, weight }
+     * @returns {Object} The new participant
+     * @throws {Error} If a value is invalid
+     */
+    addParticipant(values) {
+        const participant = {
+            id: Math.random().toString(36).substr(2, 9),
+            name: '',
+            uid: '',
+            supervisor: '',
+            shift: '',
+            tag: '',
+            weight: 1,
+            ...this.cleanParticipantValues({ weight: '', ...values })
+        };
+        return this.runCommand(`Add ${participant.name}`, () => {
+            this.participants.push(participant);
+            return participant;
+        });
+    }
+
+    /**
+     * Existing participant that looks like the same person, if any
+     */
+    findExistingParticipant(values, ignoreId = null) {
+        const index = buildDuplicateIndex(this.participants.filter(p => p.id !== ignoreId));
+        return findDuplicate({ name: values.name || '', uid: values.uid || '' }, index);
     }
 
-    updateWeight(id, newWeight) {
+    /**
+     * Edit fields of one participant
+     * @throws {Error} If a value is invalid
+     */
+    updateParticipant(id, patch) {
         const p = this.participants.find(p => p.id === id);
-        if(p) {
-            p.weight = Number(newWeight);
-        }
+        if (!p) return;
+        const clean = this.cleanParticipantValues(patch);
+        const fields = Object.keys(clean);
+        const label = fields.length === 1 && fields[0] === 'weight' ? `Edit weight of ${p.name}` : `Edit ${p.name}`;
+        this.runCommand(label, () => {
+            Object.assign(p, clean);
+        });
+    }
+
+    /**
+     * Apply the same field values to several participants
+     * @throws {Error} If a value is invalid
+     */
+    updateParticipants(ids, patch) {
+        const targets = new Set(ids);
+        const clean = this.cleanParticipantValues(patch);
+        this.runCommand(`Edit ${targets.size} participants`, () => {
+            this.participants.forEach(p => {
+                if (targets.has(p.id)) Object.assign(p, clean);
+            });
+        });
     }
 
     decrementWeight(id) {
         const p = this.participants.find(p => p.id === id);
         if(p && p.weight > 0) {
-            p.weight -= 1;
-            if(p.weight === 0) {
-                this.removeParticipant(id);
-                return true; // Removed
-            }
-            return false; // Still active
+            return this.runCommand(`Decrement weight of ${p.name}`, () => {
+                p.weight -= 1;
+                if(p.weight === 0) {
+                    this.removeParticipant(id);
+                    return true; // Removed
+                }
+                return false; // Still active
+            });
         }
         return false;
     }
 
     removeParticipant(id) {
-        this.participants = this.participants.filter(p => p.id !== id);
+        const p = this.participants.find(p => p.id === id);
+        if(!p) return;
+        this.runCommand(`Remove ${p.name}`, () => {
+            this.participants = this.participants.filter(p => p.id !== id);
+        });
+    }
+
+    removeParticipants(ids) {
+        const targets = new Set(ids);
+        this.runCommand(`Remove ${targets.size} participants`, () => {
+            this.participants = this.participants.filter(p => !targets.has(p.id));
+        });
     }
 
     clearParticipants() {
-        this.participants = [];
+        this.runCommand('Clear participants', () => {
+            this.participants = [];
+        });
     }
     
-    logWin(winner, prize) {
+    /**
+     * Record a win
+     * @param {Object} winner
+     * @param {string} prize
+     * @param {Object} audit - { seed, poolHash, mode, pool } used to verify the draw later.
+     *   The pool is kept once per hash (see storeDrawPool), not on the entry.
+     * @param {string} prizeId - Inventory prize awarded, if any
+     * @returns {Object|null} The new entry, or null if ignored as a duplicate
+     */
+    logWin(winner, prize, audit = null, prizeId = null) {
         // Prevent duplicates (simple debounce check)
         const now = new Date();
         if (this.historyLog.length > 0) {
@@ -84,95 +954,535 @@ export class DataManager {
             const timeDiff = now - last._rawDate;
             // If same winner and less than 2 seconds, ignore
             if (last.winner.id === winner.id && timeDiff < 2000) {
-                return;
+                return null;
             }
         }
 
-        this.historyLog.unshift({
+        const { pool, ...record } = audit || {};
+        const entry = {
+            id: Math.random().toString(36).substr(2, 9),
             _rawDate: now,
             timestamp: now.toLocaleString(),
             winner: winner, // Stores full object {name, uid, shift...}
-            prize: prize || ""
+            prize: prize || "",
+            prizeId,
+            ...record
+        };
+        if (pool && record.poolHash) this.storeDrawPool(record.poolHash, pool);
+        this.historyLog.unshift(entry);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Forfeit a win (e.g. winner not present).
+     * The entry stays in history marked forfeited, the prize goes back into stock
+     * and the participant is reinstated as before the draw.
+     * @param {string} entryId
+     * @param {string} reason
+     * @param {boolean} exclude - Also sit the participant out for the rest of the session
+     * @returns {Object|null} The forfeited entry
+     */
+    forfeitWin(entryId, reason, exclude = false) {
+        const entry = this.historyLog.find(h => h.id === entryId);
+        if (!entry || entry.forfeited || entry.voided) return null;
+
+        return this.runCommand(`Forfeit ${entry.winner.name}`, () => {
+            entry.forfeited = { reason: reason || 'Forfeited', date: new Date().toISOString() };
+
+            if (entry.prizeId) this.restorePrize(entry.prizeId);
+
+            // Undo the winner's removal / weight decrement from onSpinFinish
+            const weighted = (entry.mode || this.mode) === 'weighted';
+            const existing = this.participants.find(p => p.id === entry.winner.id);
+            if (existing) {
+                if (weighted) existing.weight += 1;
+            } else {
+                this.participants.push({ ...entry.winner, weight: weighted ? entry.winner.weight + 1 : entry.winner.weight });
+            }
+
+            if (exclude) this.excludedIds.add(entry.winner.id);
+            return entry;
+        });
+    }
+
+    getExcludedCount() {
+        return this.excludedIds.size;
+    }
+
+    clearExclusions() {
+        this.runCommand('Clear session exclusions', () => {
+            this.excludedIds = new Set();
+        });
+    }
+
+    // Prize Inventory
+
+    /**
+     * Prizes in draw order
+     */
+    getPrizes() {
+        return [...this.prizes].sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Next prize with stock left, or null when the inventory is exhausted
+     */
+    getNextPrize() {
+        return this.getPrizes().find(p => p.remaining > 0) || null;
+    }
+
+    getPrizesLeft() {
+        return this.prizes.reduce((sum, p) => sum + p.remaining, 0);
+    }
+
+    /**
+     * @param {Object} prize - { name, quantity, image, remaining }; a missing or
+     *   unreadable quantity means 1, a missing remaining means none awarded yet
+     */
+    addPrize({ name, quantity = 1, image = "", remaining = "" }) {
+        const count = (value) => (value === "" || value === null ? NaN : Math.floor(Number(value)));
+        const qty = isNaN(count(quantity)) ? 1 : Math.max(0, count(quantity));
+        const left = isNaN(count(remaining)) ? qty : Math.min(qty, Math.max(0, count(remaining)));
+        const prize = {
+            id: Math.random().toString(36).substr(2, 9),
+            name: String(name).trim(),
+            quantity: qty,
+            remaining: left,
+            image: image || "",
+            order: this.prizes.reduce((max, p) => Math.max(max, p.order + 1), 0)
+        };
+        this.runCommand(`Add prize ${prize.name}`, () => {
+            this.prizes.push(prize);
+        });
+        return prize;
+    }
+
+    /**
+     * Edit a prize. Changing quantity keeps the number already awarded.
+     */
+    updatePrize(id, patch) {
+        const prize = this.prizes.find(p => p.id === id);
+        if (!prize) return;
+
+        this.runCommand(`Edit prize ${prize.name}`, () => {
+            if (patch.quantity !== undefined) {
+                const awarded = prize.quantity - prize.remaining;
+                prize.quantity = Math.max(awarded, Math.floor(Number(patch.quantity)) || 0);
+                prize.remaining = prize.quantity - awarded;
+            }
+            if (patch.name !== undefined) prize.name = String(patch.name).trim();
+            if (patch.image !== undefined) prize.image = patch.image;
+        });
+    }
+
+    /**
+     * Move a prize up (-1) or down (+1) in the draw order
+     */
+    movePrize(id, direction) {
+        const ordered = this.getPrizes();
+        const index = ordered.findIndex(p => p.id === id);
+        const target = ordered[index + direction];
+        if (index === -1 || !target) return;
+
+        this.runCommand(`Move prize ${ordered[index].name}`, () => {
+            [ordered[index].order, target.order] = [target.order, ordered[index].order];
+        });
+    }
+
+    removePrize(id) {
+        const prize = this.prizes.find(p => p.id === id);
+        if (!prize) return;
+        this.runCommand(`Remove prize ${prize.name}`, () => {
+            this.prizes = this.prizes.filter(p => p.id !== id);
+        });
+    }
+
+    clearPrizes() {
+        this.runCommand('Clear prizes', () => {
+            this.prizes = [];
+        });
+    }
+
+    /**
+     * Take one unit of the next available prize
+     * @returns {Object|null} The prize taken, or null if none are left
+     */
+    takeNextPrize() {
+        const prize = this.getNextPrize();
+        if (!prize) return null;
+        prize.remaining -= 1;
+        this.save();
+        return prize;
+    }
+
+    /**
+     * Put one unit of a prize back into stock
+     */
+    restorePrize(id) {
+        const prize = this.prizes.find(p => p.id === id);
+        if (prize && prize.remaining < prize.quantity) {
+            prize.remaining += 1;
+            this.save();
+        }
+    }
+
+    updateHistoryPrize(id, val) {
+        const entry = this.historyLog.find(h => h.id === id);
+        if(entry) {
+            entry.prize = val;
+            this.save();
+        }
+    }
+
+    // History Filtering & Stats
+
+    /**
+     * Distinct winner fields and prizes found in the history, for the filter selects
+     * @returns {Object} { shift: [...], supervisor: [...], tag: [...], prize: [...] }
+     */
+    getHistoryFilterOptions() {
+        const options = {};
+        HISTORY_GROUPS.forEach(field => {
+            const values = new Set(this.historyLog.map(h => historyValue(h, field)).filter(Boolean));
+            options[field] = [...values].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        });
+        return options;
+    }
+
+    /**
+     * History entries matching the criteria, sorted
+     * @param {Object} criteria
+     * @param {string} criteria.query - Matches winner name, uid or prize
+     * @param {string} criteria.from - First day, 'YYYY-MM-DD' (local time)
+     * @param {string} criteria.to - Last day, 'YYYY-MM-DD' (local time)
+     * @param {string} criteria.shift / supervisor / tag / prize - Exact value, '' for any
+     * @param {string} criteria.sort - 'newest' | 'oldest' | 'name' | 'prize'
+     */
+    filterHistory({ query = '', from = '', to = '', sort = 'newest', ...fields } = {}) {
+        const q = query.trim().toLowerCase();
+        const start = from ? new Date(`${from}T00:00:00`) : null;
+        const end = to ? new Date(`${to}T23:59:59.999`) : null;
+
+        const entries = this.historyLog.filter(h =>
+            (!start || h._rawDate >= start) &&
+            (!end || h._rawDate <= end) &&
+            HISTORY_GROUPS.every(field => !fields[field] || historyValue(h, field) === fields[field]) &&
+            (!q || [h.winner.name, h.winner.uid, h.prize].some(v => String(v || '').toLowerCase().includes(q)))
+        );
+
+        const byText = (key) => (a, b) => String(key(a) || '').localeCompare(String(key(b) || ''), undefined, { numeric: true, sensitivity: 'base' });
+        switch (sort) {
+            case 'oldest': return entries.sort((a, b) => a._rawDate - b._rawDate);
+            case 'name': return entries.sort(byText(h => h.winner.name));
+            case 'prize': return entries.sort(byText(h => h.prize));
+            default: return entries.sort((a, b) => b._rawDate - a._rawDate);
+        }
+    }
+
+    /**
+     * Win statistics over a set of history entries. Voided and forfeited entries don't count.
+     * @param {Array} entries - e.g. from filterHistory
+     * @returns {Object} { wins, groups: { shift|supervisor|tag|prize: [[value, count]] }, timeline: { unit, buckets: [[label, count]] }, repeatWinners: [{ winner, count, prizes }] }
+     */
+    getHistoryStats(entries) {
+        const wins = entries.filter(h => !h.voided && !h.forfeited);
+
+        const groups = {};
+        HISTORY_GROUPS.forEach(field => {
+            const counts = new Map();
+            wins.forEach(h => {
+                const value = historyValue(h, field) || '(none)';
+                counts.set(value, (counts.get(value) || 0) + 1);
+            });
+            groups[field] = [...counts].sort((a, b) => b[1] - a[1]);
+        });
+
+        const byWinner = new Map();
+        wins.forEach(h => {
+            const key = h.winner.id;
+            if (!byWinner.has(key)) byWinner.set(key, { winner: h.winner, count: 0, prizes: [] });
+            const row = byWinner.get(key);
+            row.count++;
+            if (h.prize) row.prizes.push(h.prize);
+        });
+        const repeatWinners = [...byWinner.values()].filter(row => row.count > 1).sort((a, b) => b.count - a.count);
+
+        return { wins: wins.length, groups, timeline: buildTimeline(wins), repeatWinners };
+    }
+
+    // History Import
+
+    /**
+     * Read a history file (Excel/CSV in the Spin_History export format)
+     * @param {Object} options - See parseHistoryRows
+     * @returns {Promise<Object>} See parseHistoryRows
+     */
+    async readHistoryFile(file, options = {}) {
+        // Raw text, so CSV times stay as written instead of becoming date serials
+        const workbook = await this.readWorkbook(file, { raw: true });
+        const sheet = workbook.SheetNames.includes('Spin_History') ? 'Spin_History' : undefined;
+        return this.parseHistoryRows(this.getSheetRows(workbook, sheet), options);
+    }
+
+    /**
+     * Turn Spin_History rows back into history entries.
+     * Winners are matched to current participants by ID, then by name; the
+     * original time, prize and status are kept. Draws already in the history
+     * (same winner, same second) are skipped so a file can be re-imported.
+     * @param {Array} rows - Sheet rows as arrays, header row first
+     * @param {Object} options - { dateOrder: 'mdy' | 'dmy' } for locale times like "3/4/2025"
+     * @returns {Object} { entries, duplicates, unmatched: [{ row, name, uid, reason }], ambiguousTimes }
+     *   ambiguousTimes counts rows whose date dateOrder decided
+     * @throws {ImportError} When the header row isn't a history export
+     */
+    parseHistoryRows(rows, { dateOrder = 'mdy' } = {}) {
+        const columns = {};
+        (rows[0] || []).forEach((cell, col) => {
+            const field = HISTORY_HEADERS[normalizeHeader(cell)];
+            if (field && columns[field] === undefined) columns[field] = col;
+        });
+        if (columns.time === undefined || (columns.name === undefined && columns.uid === undefined)) {
+            throw new ImportError("This doesn't look like a history export. It needs a Time column and a Winner or ID column.");
+        }
+
+        const clean = (value) => String(value ?? '').trim();
+        const byUid = new Map();
+        const byName = new Map();
+        this.participants.forEach(p => {
+            if (clean(p.uid)) byUid.set(clean(p.uid).toLowerCase(), p);
+            const name = clean(p.name).toLowerCase();
+            byName.set(name, [...(byName.get(name) || []), p]);
+        });
+
+        const seen = new Set(this.historyLog.map(h => historyKey(h.winner.id, h._rawDate)));
+        const entries = [];
+        const unmatched = [];
+        let duplicates = 0;
+        let ambiguousTimes = 0;
+
+        rows.slice(1).forEach((row, i) => {
+            const cell = (field) => columns[field] === undefined ? '' : clean(row[columns[field]]);
+            const name = cell('name');
+            const uid = cell('uid');
+            if (!name && !uid && !cell('time')) return; // Blank line
+            const report = (reason) => unmatched.push({ row: i + 2, name, uid, reason });
+
+            const time = parseHistoryTime(row[columns.time], dateOrder);
+            if (!time) return report(`Unreadable time "${cell('time')}"`);
+            const { date } = time;
+            if (time.ambiguous) ambiguousTimes++;
+
+            const namesakes = byName.get(name.toLowerCase()) || [];
+            const participant = (uid && byUid.get(uid.toLowerCase())) || (namesakes.length === 1 ? namesakes[0] : null);
+            if (!participant) {
+                if (namesakes.length > 1) return report(`${namesakes.length} participants are named "${name}"`);
+                return report(uid ? `No participant with ID "${uid}"` : `No participant named "${name}"`);
+            }
+
+            const key = historyKey(participant.id, date);
+            if (seen.has(key)) {
+                duplicates++;
+                return;
+            }
+            seen.add(key);
+
+            const status = cell('status').toLowerCase();
+            entries.push({
+                id: Math.random().toString(36).substr(2, 9),
+                _rawDate: date,
+                timestamp: date.toLocaleString(),
+                winner: { ...participant },
+                prize: cell('prize'),
+                prizeId: null,
+                imported: true,
+                ...(status === 'voided' ? { voided: true } : {}),
+                ...(status.startsWith('forfeited') ? {
+                    forfeited: { reason: cell('status').split(':').slice(1).join(':').trim() || 'Forfeited', date: date.toISOString() }
+                } : {})
+            });
+        });
+
+        return { entries, duplicates, unmatched, ambiguousTimes };
+    }
+
+    /**
+     * Add parsed entries to the history, keeping it newest first
+     * @param {Array} entries - From parseHistoryRows
+     */
+    importHistory(entries) {
+        this.historyLog = [...this.historyLog, ...entries].sort((a, b) => b._rawDate - a._rawDate);
+        // Undo snapshots carry forfeit flags for the old log only
+        this.undoStack = [];
+        this.redoStack = [];
+        this.save();
+    }
+
+    // Secret Santa
+
+    getMatching() {
+        return this.matching;
+    }
+
+    /**
+     * Draw a new secret santa assignment over all participants, replacing any previous one.
+     * Pairs keep a copy of both people so later edits to the list don't change them.
+     * @param {Array} rules - Fields givers and receivers must not share
+     * @throws {Error} When the rules leave no valid assignment
+     */
+    createMatching(rules = []) {
+        const seed = PickerLogic.generateSeed(this.settings.secureSeeds);
+        const pairs = PickerLogic.matchPairs(this.participants, rules, PickerLogic.createRng(seed));
+        this.matching = {
+            seed,
+            rules,
+            createdAt: new Date().toISOString(),
+            pairs: pairs.map(([giver, receiver]) => ({ giver: { ...giver }, receiver: { ...receiver }, revealed: false }))
+        };
+        this.save();
+        return this.matching;
+    }
+
+    markPairRevealed(index) {
+        const pair = this.matching && this.matching.pairs[index];
+        if (pair && !pair.revealed) {
+            pair.revealed = true;
+            this.save();
+        }
+    }
+
+    clearMatching() {
+        this.matching = null;
+        this.save();
+    }
+
+    // Project Backup
+
+    /**
+     * The whole project (every event with its roster, history, prizes and settings)
+     * as a versioned object, ready for JSON.stringify
+     */
+    exportProject() {
+        return {
+            app: PROJECT_FILE_APP,
+            version: SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            ...this._payload()
+        };
+    }
+
+    /**
+     * Read and validate a project backup file
+     * @returns {Promise<Object>} Project at the current schema version
+     * @throws {ImportError} When the file isn't a usable project
+     */
+    readProjectFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                let data;
+                try {
+                    data = JSON.parse(e.target.result);
+                } catch (err) {
+                    reject(new ImportError("This file is not valid JSON."));
+                    return;
+                }
+                try {
+                    resolve(this.validateProject(data));
+                } catch (err) {
+                    reject(err);
+                }
+            };
+            reader.readAsText(file);
         });
     }
 
-    updateHistoryPrize(index, val) {
-        if(this.historyLog[index]) {
-            this.historyLog[index].prize = val;
+    /**
+     * Check a parsed project file and migrate it to the current schema
+     * @throws {ImportError} With one issue per problem found
+     */
+    validateProject(data) {
+        if (!data || data.app !== PROJECT_FILE_APP) {
+            throw new ImportError("This is not a Randomizer Pro project file.");
+        }
+
+        let project;
+        try {
+            project = this.storage.migrate(data);
+        } catch (err) {
+            throw new ImportError(`This project can't be opened: ${err.message}.`);
+        }
+
+        const issues = [];
+        const problem = (message) => issues.push({ level: 'error', message });
+        if (!Array.isArray(project.events) || project.events.length === 0) {
+            problem('The project has no events');
+        } else {
+            project.events.forEach((event, i) => {
+                const where = `Event ${i + 1}${event && event.name ? ` (${event.name})` : ''}`;
+                const state = event && event.state;
+                if (!event || typeof event.id !== 'string' || typeof event.name !== 'string') return problem(`${where}: missing id or name`);
+                if (!isSafeId(event.id)) return problem(`${where}: invalid id`);
+                if (!state || typeof state !== 'object') return problem(`${where}: no data`);
+                ['participants', 'historyLog', 'prizes'].forEach(key => {
+                    if (!Array.isArray(state[key])) problem(`${where}: ${key} is missing`);
+                });
+                if (Array.isArray(state.participants) && state.participants.some(p => !p || !p.id || !p.name)) {
+                    problem(`${where}: some participants have no id or name`);
+                } else if (Array.isArray(state.participants) && !state.participants.every(p => isSafeId(p.id))) {
+                    problem(`${where}: some participants have an invalid id`);
+                }
+                if (Array.isArray(state.historyLog) && state.historyLog.some(h => !h || !h.winner || isNaN(new Date(h._rawDate)))) {
+                    problem(`${where}: some history entries have no winner or date`);
+                } else if (Array.isArray(state.historyLog) && !state.historyLog.every(h => (h.id === undefined || isSafeId(h.id)) && isSafeId(h.winner.id))) {
+                    problem(`${where}: some history entries have an invalid id`);
+                }
+                if (Array.isArray(state.prizes) && !state.prizes.every(p => p && isSafeId(p.id))) {
+                    problem(`${where}: some prizes have no id or an invalid one`);
+                }
+                if (!['random', 'weighted'].includes(state.mode)) problem(`${where}: unknown mode "${state.mode}"`);
+            });
+        }
+
+        if (issues.length > 0) throw new ImportError("The project file is damaged.", issues);
+        return project;
+    }
+
+    /**
+     * Load a validated project
+     * @param {Object} project - From readProjectFile
+     * @param {string} mode - 'replace' (drop every current event) | 'merge' (add the file's events to the list)
+     */
+    importProject(project, mode = 'merge') {
+        const events = project.events.map(e => ({ ...e, state: JSON.parse(JSON.stringify(e.state)) }));
+
+        if (mode === 'replace') {
+            this.events = events;
+            this._activate(project.activeEventId);
+        } else {
+            events.forEach(event => {
+                if (this.events.some(e => e.id === event.id)) {
+                    event.id = Math.random().toString(36).substr(2, 9);
+                    event.name = `${event.name} (imported)`;
+                }
+                this.events.push(event);
+            });
         }
+        this.save();
     }
 
     /**
-     * Parse an uploaded file (Excel/CSV)
+     * Read an uploaded file (Excel/CSV) into a SheetJS workbook
+     * @param {Object} options - Extra XLSX.read options
      */
-    async parseFile(file) {
+    readWorkbook(file, options = {}) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             
             reader.onload = (e) => {
                 try {
                     const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-                    const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-                    const jsonData = XLSX.utils.sheet_to_json(firstSheet, { header: 1 });
-                    
-                    // Header detection
-                    let headers = [];
-                    let startIndex = 0;
-                    
-                    if (jsonData.length > 0) {
-                         // Check first row for "Name"
-                         const row0 = jsonData[0].map(c => String(c).toLowerCase());
-                         if(row0.includes('name')) {
-                             headers = row0;
-                             startIndex = 1;
-                         } else {
-                             // Default mapping: 0=Name, 1=Weight
-                             headers = ['name', 'weight', 'uid', 'supervisor', 'shift', 'tag'];
-                         }
-                    }
-
-                    const findIdx = (key) => headers.indexOf(key);
-
-                    const parsed = [];
-                    for(let i = startIndex; i < jsonData.length; i++) {
-                        const row = jsonData[i];
-                        if (!row || row.length === 0) continue;
-                        
-                        // Map by header index or default position
-                        // Default fallback: Name=0, Weight=1, UID=2, Sup=3, Shift=4, Tag=5
-                        
-                        const val = (idx) => row[idx] ? String(row[idx]).trim() : "";
-                        
-                        // Helper to find value by header name OR default index
-                        const getVal = (key, defaultIdx) => {
-                             const hIdx = findIdx(key);
-                             if (hIdx !== -1) return val(hIdx);
-                             return val(defaultIdx);
-                        };
-                        
-                        const name = getVal('name', 0);
-                        if(!name) continue;
-
-                        parsed.push({
-                            id: Math.random().toString(36).substr(2, 9),
-                            name: name,
-                            weight: Number(getVal('weight', 1)) || 1,
-                            uid: getVal('uid', 2),
-                            supervisor: getVal('supervisor', 3),
-                            shift: getVal('shift', 4),
-                            tag: getVal('tag', 5)
-                        });
-                    }
-                    
-                    if (parsed.length > 0) {
-                        // Append to existing
-                        this.participants = [...this.participants, ...parsed];
-                        resolve(parsed);
-                    } else {
-                        reject("No valid data found.");
-                    }
-
+                    resolve(XLSX.read(data, { type: 'array', ...options }));
                 } catch (err) {
                     reject(err);
                 }
@@ -181,4 +1491,259 @@ export class DataManager {
             reader.readAsArrayBuffer(file);
         });
     }
+
+    /**
+     * Rows of one sheet as arrays of cells
+     */
+    getSheetRows(workbook, sheetName = workbook.SheetNames[0]) {
+        return XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1 });
+    }
+
+    /**
+     * Read the first sheet of an uploaded file (Excel/CSV) as an array of rows
+     */
+    async readSheetRows(file) {
+        return this.getSheetRows(await this.readWorkbook(file));
+    }
+
+    /**
+     * Suggest a target field for each column of a header row.
+     * Remembered mappings win, then fuzzy matches against FIELD_ALIASES.
+     * If nothing in the row looks like a header, it is treated as data and
+     * columns fall back to the default positions.
+     * @param {Array} headerRow - First row of the sheet
+     * @returns {Object} { mapping: Array of field keys ('' = ignore), hasHeader }
+     */
+    suggestMapping(headerRow) {
+        const remembered = this.importMappings;
+        const candidates = [];
+
+        headerRow.forEach((cell, col) => {
+            const header = normalizeHeader(cell);
+            if (!header) return;
+            if (remembered[header] !== undefined) {
+                candidates.push({ col, field: remembered[header], score: 2 });
+                return;
+            }
+            PARTICIPANT_FIELDS.forEach(({ key }) => {
+                const score = scoreHeader(header, key);
+                if (score > 0) candidates.push({ col, field: key, score });
+            });
+        });
+
+        if (candidates.length === 0) {
+            const width = Math.max(headerRow.length, DEFAULT_COLUMN_ORDER.length);
+            return { mapping: Array.from({ length: width }, (_, i) => DEFAULT_COLUMN_ORDER[i] || ''), hasHeader: false };
+        }
+
+        // Greedy: best scores first, each column and field used once ('' may repeat)
+        const mapping = headerRow.map(() => '');
+        const usedFields = new Set();
+        const usedCols = new Set();
+        candidates.sort((a, b) => b.score - a.score).forEach(({ col, field }) => {
+            if (usedCols.has(col) || (field && usedFields.has(field))) return;
+            mapping[col] = field;
+            usedCols.add(col);
+            if (field) usedFields.add(field);
+        });
+
+        return { mapping, hasHeader: true };
+    }
+
+    /**
+     * Remember which field each header was mapped to for future imports
+     */
+    rememberMapping(headerRow, mapping) {
+        headerRow.forEach((cell, col) => {
+            const header = normalizeHeader(cell);
+            if (header) this.importMappings[header] = mapping[col] || '';
+        });
+        this.save();
+    }
+
+    /**
+     * Read sheet rows into import entries using a column mapping.
+     * Blank rows are dropped; everything else is kept for validation.
+     * @param {Array} rows - From getSheetRows
+     * @param {Array} mapping - Field key per column, '' to ignore
+     * @param {boolean} hasHeader - Skip the first row
+     * @returns {Array} Entries { row (1-based sheet row), values, excluded, issues }
+     */
+    readImportEntries(rows, mapping, hasHeader) {
+        const entries = [];
+        for(let i = hasHeader ? 1 : 0; i < rows.length; i++) {
+            const row = rows[i];
+            if (!row || row.length === 0) continue;
+
+            const values = {};
+            PARTICIPANT_FIELDS.forEach(({ key }) => {
+                const idx = mapping.indexOf(key);
+                values[key] = idx !== -1 && row[idx] !== undefined && row[idx] !== null ? String(row[idx]).trim() : "";
+            });
+            if (Object.values(values).every(v => !v)) continue;
+
+            entries.push({ row: i + 1, values, excluded: false, issues: [] });
+        }
+        return entries;
+    }
+
+    /**
+     * Check every entry and refill its issues.
+     * Errors keep a row out of the import until it is fixed or excluded;
+     * warnings (a uid repeated in the file) go on to duplicate review.
+     * @param {Array} entries - From readImportEntries, possibly edited
+     * @returns {Array} The same entries
+     */
+    validateImportEntries(entries) {
+        const uidRows = new Map();
+
+        entries.forEach(entry => {
+            const { values } = entry;
+            const issues = [];
+            const error = (field, message) => issues.push({ field, level: 'error', message });
+
+            PARTICIPANT_FIELDS.forEach(({ key }) => {
+                const problem = fieldProblem(key, values[key]);
+                if (problem) error(key, problem);
+            });
+
+            if (values.uid && !entry.excluded) {
+                const uid = normalizeUid(values.uid);
+                if (uidRows.has(uid)) {
+                    issues.push({ field: 'uid', level: 'warning', message: `UID also used on row ${uidRows.get(uid)}` });
+                } else {
+                    uidRows.set(uid, entry.row);
+                }
+            }
+
+            entry.issues = issues;
+        });
+        return entries;
+    }
+
+    /**
+     * Participants for entries that have no errors and are not excluded
+     */
+    entriesToParticipants(entries) {
+        return entries
+            .filter(entry => !entry.excluded && !entry.issues.some(i => i.level === 'error'))
+            .map(({ values }) => ({
+                id: Math.random().toString(36).substr(2, 9),
+                name: values.name,
+                weight: values.weight ? Number(values.weight) : 1,
+                uid: values.uid,
+                supervisor: values.supervisor,
+                shift: values.shift,
+                tag: values.tag
+            }));
+    }
+
+    /**
+     * Find duplicates of incoming rows, by uid or (when a uid is missing) normalized name.
+     * Rows are checked against the pool and against earlier rows of the same file.
+     * @param {Array} parsed - From entriesToParticipants
+     * @param {string} mode - 'append' | 'replace' (replace only checks within the file)
+     * @returns {Array} Conflicts: { incoming, existing, source: 'pool' | 'file', action }
+     */
+    findDuplicates(parsed, mode = 'append') {
+        const index = buildDuplicateIndex(mode === 'replace' ? [] : this.participants);
+        const fromFile = new Set();
+        const conflicts = [];
+
+        parsed.forEach(p => {
+            const match = findDuplicate(p, index);
+            if (match) {
+                conflicts.push({ incoming: p, existing: match, source: fromFile.has(match) ? 'file' : 'pool', action: 'skip' });
+            }
+            addToDuplicateIndex(index, p);
+            fromFile.add(p);
+        });
+        return conflicts;
+    }
+
+    /**
+     * Add parsed participants as one undoable step
+     * @param {Array} parsed - From entriesToParticipants
+     * @param {Object} options
+     * @param {string} options.mode - 'append' to the pool or 'replace' the entire list
+     * @param {Array} options.conflicts - From findDuplicates, each with an action:
+     *   'skip' | 'replace' (overwrite the match, keeping its id) | 'merge' (add weights) | 'keep' (keep both)
+     * @returns {Object} Counts { added, replaced, merged, skipped }
+     */
+    importParticipants(parsed, { mode = 'append', conflicts = [] } = {}) {
+        const actions = new Map(conflicts.map(c => [c.incoming, c.action]));
+        const summary = { added: 0, replaced: 0, merged: 0, skipped: 0 };
+        const label = mode === 'replace' ? `Replace list with ${parsed.length} participants` : `Import ${parsed.length} participants`;
+
+        this.runCommand(label, () => {
+            const result = mode === 'replace' ? [] : [...this.participants];
+            const index = buildDuplicateIndex(result);
+
+            parsed.forEach(p => {
+                // Re-match against the live result so chains (row -> earlier row -> pool) resolve in order
+                const action = actions.get(p) || 'keep';
+                const match = action !== 'keep' ? findDuplicate(p, index) : null;
+
+                if (!match) {
+                    result.push(p);
+                    addToDuplicateIndex(index, p);
+                    summary.added++;
+                } else if (action === 'skip') {
+                    summary.skipped++;
+                } else if (action === 'merge') {
+                    match.weight = (match.weight || 1) + (p.weight || 1);
+                    summary.merged++;
+                } else if (action === 'replace') {
+                    Object.assign(match, { ...p, id: match.id });
+                    addToDuplicateIndex(index, match);
+                    summary.replaced++;
+                }
+            });
+
+            this.participants = result;
+        });
+        return summary;
+    }
+
+    /**
+     * Parse an uploaded prize list (Excel/CSV)
+     * Columns: Prize/Name, Quantity, Image. Without headers: 0=Name, 1=Quantity, 2=Image
+     */
+    async parsePrizeFile(file) {
+        const jsonData = await this.readSheetRows(file);
+
+        let headers = ['name', 'quantity', 'image'];
+        let startIndex = 0;
+
+        if (jsonData.length > 0) {
+            const row0 = jsonData[0].map(c => String(c).toLowerCase().trim());
+            if (row0.includes('name') || row0.includes('prize')) {
+                headers = row0.map(h => ({ prize: 'name', qty: 'quantity' }[h] || h));
+                startIndex = 1;
+            }
+        }
+
+        const parsed = [];
+        for (let i = startIndex; i < jsonData.length; i++) {
+            const row = jsonData[i];
+            if (!row || row.length === 0) continue;
+
+            const getVal = (key) => {
+                const idx = headers.indexOf(key);
+                return idx !== -1 && row[idx] !== undefined && row[idx] !== null ? String(row[idx]).trim() : "";
+            };
+
+            const name = getVal('name');
+            if (!name) continue;
+
+            // Remaining comes from the app's own prize export
+            parsed.push({ name, quantity: getVal('quantity'), remaining: getVal('remaining'), image: getVal('image') });
+        }
+
+        if (parsed.length === 0) {
+            throw new ImportError("No valid prizes found.");
+        }
+
+        return this.runCommand(`Import ${parsed.length} prizes`, () => parsed.map(p => this.addPrize(p)));
+    }
 }
@@ -0,0 +1,115 @@
+import { easingProgressAt } from './animationEngine.js';
+import { escapeAttr } from './html.js';
+
+// Above this many participants the grid switches to compact chips
+const DENSE_THRESHOLD = 120;
+
+/**
+ * Last-one-standing display.
+ * Every eligible participant is shown in a grid; a pre-computed plan
+ * (see PickerLogic.planElimination) knocks them out round by round until
+ * only the winner is left. Rounds are spaced along the theme easing.
+ */
+export class EliminationEngine {
+    constructor(container) {
+        this.container = container;
+        this.chips = new Map(); // participant id -> element
+
+        this.isSpinning = false;
+        this.isIdle = false;
+
+        this.onRound = null; // Callback(roundIndex, totalRounds, remaining) for sound and status
+        this.onFinish = null; // Callback for winner calculation
+    }
+
+    /**
+     * @param {Array} items - Eligible participants
+     */
+    setItems(items) {
+        this.container.classList.toggle('elim-dense', items.length > DENSE_THRESHOLD);
+        this.container.innerHTML = items.map(p => `<div class="elim-chip" data-id="${p.id}">${escapeAttr(p.name)}</div>`).join('');
+        this.chips = new Map([...this.container.children].map(el => [el.dataset.id, el]));
+        this.container.scrollTop = 0;
+    }
+
+    hasItems(items) {
+        return items.length === this.chips.size && items.every(p => this.chips.has(p.id));
+    }
+
+    startIdle() {
+        if (this.isSpinning) return;
+        this.isIdle = true;
+        this.container.classList.add('elim-idle');
+    }
+
+    stopIdle() {
+        this.isIdle = false;
+        this.container.classList.remove('elim-idle', 'elim-shuffling');
+    }
+
+    /**
+     * Flicker the grid for the "Shuffle" phase
+     */
+    visualShuffle() {
+        this.container.classList.add('elim-shuffling');
+    }
+
+    // Nothing scrolls here; kept so every display shares one interface
+    setIdleSpeed() {}
+
+    resetIdleSpeed() {
+        this.container.classList.remove('elim-shuffling');
+    }
+
+    /**
+     * Play out the rounds, then crown the survivor
+     * @param {Object} survivor - Winner
+     * @param {Array} rounds - From PickerLogic.planElimination
+     * @param {Number} duration - ms until the survivor is revealed
+     * @param {string} theme - Easing theme
+     */
+    eliminate(survivor, rounds, duration = 6000, theme = 'standard') {
+        this.stopIdle();
+        this.isSpinning = true;
+        this.chips.forEach(el => el.classList.remove('eliminated', 'survivor'));
+
+        let remaining = this.chips.size;
+        const schedule = rounds.map((round, k) => ({
+            round,
+            at: easingProgressAt(theme, (k + 1) / (rounds.length + 1)) * duration
+        }));
+
+        const startTime = performance.now();
+        let next = 0;
+        const animate = (time) => {
+            const elapsed = time - startTime;
+            // Every round that is due, so thousands of small rounds still end on time;
+            // one callback (and sound) per frame for the last of them
+            const first = next;
+            while (next < schedule.length && schedule[next].at <= elapsed) {
+                const { round } = schedule[next];
+                round.forEach(p => {
+                    const el = this.chips.get(p.id);
+                    if (el) el.classList.add('eliminated');
+                });
+                remaining -= round.length;
+                next++;
+            }
+            if (next > first && this.onRound) this.onRound(next - 1, schedule.length, remaining);
+
+            if (next < schedule.length || elapsed < duration) {
+                requestAnimationFrame(animate);
+                return;
+            }
+
+            const el = this.chips.get(survivor.id);
+            if (el) {
+                el.classList.add('survivor');
+                el.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+            }
+            this.isSpinning = false;
+            if (this.onFinish) this.onFinish();
+        };
+        requestAnimationFrame(animate);
+    }
+}
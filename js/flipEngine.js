@@ -0,0 +1,119 @@
+import { easingProgressAt } from './animationEngine.js';
+import { PickerLogic } from './pickerLogic.js';
+
+// Most cards dealt for one reveal; larger pools are sampled around the winner
+const GRID_SIZE = 24;
+
+/**
+ * Card-flip reveal display.
+ * A grid of face-down cards is turned over one by one; every card but the
+ * winner's drops out, and the winner's card flips last. Flip timing follows
+ * the theme easing, so e.g. 'suspenseful' slows down towards the end.
+ */
+export class FlipEngine {
+    constructor(container) {
+        this.container = container;
+        this.items = [];
+
+        this.isSpinning = false;
+        this.isIdle = false;
+
+        this.onTick = null; // Callback for sound (one per flip)
+        this.onFinish = null; // Callback for winner calculation
+    }
+
+    /**
+     * Deal face-down cards for the current pool
+     * @param {Array} items - Eligible participants
+     */
+    setItems(items) {
+        this.items = items;
+        this._deal(Math.min(GRID_SIZE, items.length));
+    }
+
+    _deal(count) {
+        this.container.innerHTML = Array.from({ length: count }, () => `
+            <div class="flip-card">
+                <div class="flip-card-inner">
+                    <div class="flip-card-back">?</div>
+                    <div class="flip-card-front"></div>
+                </div>
+            </div>
+        `).join('');
+        this.cards = [...this.container.children];
+    }
+
+    startIdle() {
+        if (this.isSpinning) return;
+        this.isIdle = true;
+        this.container.classList.add('flip-idle');
+    }
+
+    stopIdle() {
+        this.isIdle = false;
+        this.container.classList.remove('flip-idle', 'flip-shuffling');
+    }
+
+    /**
+     * Jiggle the face-down cards for the "Shuffle" phase
+     */
+    visualShuffle() {
+        this.container.classList.add('flip-shuffling');
+    }
+
+    // Nothing scrolls here; kept so every display shares one interface
+    setIdleSpeed() {}
+
+    resetIdleSpeed() {
+        this.container.classList.remove('flip-shuffling');
+    }
+
+    /**
+     * Deal a fresh grid and flip everything but the winner
+     * @param {Object} winner
+     * @param {Number} duration - ms until the winner's card turns
+     * @param {string} theme - Easing theme
+     * @param {Array} pool - Participants the other cards are drawn from
+     */
+    spinTo(winner, duration = 6000, theme = 'standard', pool = this.items) {
+        this.stopIdle();
+        this.isSpinning = true;
+
+        const others = PickerLogic.shuffle(pool.filter(p => p.id !== winner.id)).slice(0, GRID_SIZE - 1);
+        const faces = PickerLogic.shuffle([winner, ...others]);
+        this._deal(faces.length);
+        this.cards.forEach((card, i) => {
+            card.querySelector('.flip-card-front').textContent = faces[i].name;
+        });
+
+        // Losers in random order, each at the time the eased curve reaches its share
+        const losers = PickerLogic.shuffle(this.cards.filter((_, i) => faces[i] !== winner));
+        const winnerCard = this.cards[faces.indexOf(winner)];
+        const schedule = losers.map((card, k) => ({
+            card,
+            at: easingProgressAt(theme, (k + 1) / faces.length) * duration
+        }));
+        schedule.push({ card: winnerCard, at: duration, winner: true });
+
+        const startTime = performance.now();
+        let next = 0;
+        const animate = (time) => {
+            const elapsed = time - startTime;
+            let flipped = false;
+            while (next < schedule.length && schedule[next].at <= elapsed) {
+                const { card, winner: isWinner } = schedule[next++];
+                card.classList.add('flipped', isWinner ? 'flip-winner' : 'flip-out');
+                flipped = true;
+            }
+            if (flipped && this.onTick) this.onTick();
+
+            if (next < schedule.length) {
+                requestAnimationFrame(animate);
+            } else {
+                this.isSpinning = false;
+                if (this.onFinish) this.onFinish();
+            }
+        };
+        requestAnimationFrame(animate);
+    }
+}
@@ -0,0 +1,245 @@
+import { escapeAttr, avatarColor, AVATAR_ICON } from './html.js';
+
+// Export columns: key -> [header, value]. The first seven match the original Spin_History sheet,
+// except Time is an ISO timestamp so the history import can read it back in any locale.
+const COLUMNS = {
+    time: ['Time', h => h._rawDate.toISOString()],
+    winner: ['Winner', h => h.winner.name || ''],
+    uid: ['ID', h => h.winner.uid || ''],
+    supervisor: ['Supervisor', h => h.winner.supervisor || ''],
+    shift: ['Shift', h => h.winner.shift || ''],
+    tag: ['Tag', h => h.winner.tag || ''],
+    prize: ['Prize', h => h.prize || ''],
+    status: ['Status', h => h.voided ? 'Voided' : h.forfeited ? `Forfeited: ${h.forfeited.reason}` : 'Won'],
+    seed: ['Seed', h => h.seed ?? '']
+};
+
+const DEFAULT_COLUMNS = ['time', 'winner', 'uid', 'supervisor', 'shift', 'tag', 'prize'];
+
+const DEFAULT_TITLE = 'Premium Random Picker';
+
+/**
+ * History export dialog: XLSX, CSV, JSON, a printable report and a sheet of
+ * winner certificates (the last two go through the browser's print dialog,
+ * where "Save as PDF" gives a PDF). Also shows single certificates.
+ */
+export class HistoryExport {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+
+        this.modal = document.getElementById('modal-history-export');
+        this.certificateModal = document.getElementById('modal-certificate');
+        this.printArea = document.getElementById('print-area');
+        this.formatSelect = document.getElementById('export-format');
+        this.columnsEl = document.getElementById('export-columns');
+        this.fromInput = document.getElementById('export-from');
+        this.toInput = document.getElementById('export-to');
+        this.includeVoided = document.getElementById('export-include-voided');
+
+        this.columnsEl.innerHTML = Object.entries(COLUMNS).map(([key, [header]]) => `
+            <label class="checkbox-label">
+                <input type="checkbox" value="${key}" ${DEFAULT_COLUMNS.includes(key) ? 'checked' : ''}> ${header}
+            </label>
+        `).join('');
+
+        document.getElementById('btn-close-history-export').addEventListener('click', () => this.modal.classList.add('hidden'));
+        document.getElementById('btn-export-run').addEventListener('click', () => this.run());
+        this.formatSelect.addEventListener('change', () => this.updateFormatHint());
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing');
+            this.printArea.innerHTML = '';
+        });
+    }
+
+    /**
+     * @param {Object} range - { from, to } to start with, e.g. the history view's date filter
+     */
+    open({ from = '', to = '' } = {}) {
+        this.fromInput.value = from;
+        this.toInput.value = to;
+        this.updateFormatHint();
+        this.modal.classList.remove('hidden');
+    }
+
+    updateFormatHint() {
+        const format = this.formatSelect.value;
+        document.getElementById('export-format-hint').textContent = format === 'report' || format === 'certificates'
+            ? 'Opens the print dialog. Choose "Save as PDF" to get a PDF.'
+            : '';
+        // Certificates always show the same fields
+        this.columnsEl.classList.toggle('disabled', format === 'certificates');
+    }
+
+    getTitle() {
+        return this.dataManager.getSettings().appTitle || DEFAULT_TITLE;
+    }
+
+    /**
+     * Entries in the chosen date range, oldest first
+     */
+    getEntries() {
+        const entries = this.dataManager.filterHistory({ from: this.fromInput.value, to: this.toInput.value, sort: 'oldest' });
+        return this.includeVoided.checked ? entries : entries.filter(h => !h.voided && !h.forfeited);
+    }
+
+    run() {
+        const format = this.formatSelect.value;
+        const columns = [...this.columnsEl.querySelectorAll('input:checked')].map(input => input.value);
+        const entries = this.getEntries();
+
+        if (entries.length === 0) {
+            alert("No history in that date range!");
+            return;
+        }
+        if (columns.length === 0 && format !== 'certificates') {
+            alert("Pick at least one column!");
+            return;
+        }
+
+        switch (format) {
+            case 'json': return this.downloadJson(entries, columns);
+            case 'report': return this.printReport(entries, columns);
+            case 'certificates': return this.printCertificates(entries.filter(h => !h.voided && !h.forfeited));
+            default: return this.downloadSheet(entries, columns, format);
+        }
+    }
+
+    downloadSheet(entries, columns, format) {
+        const rows = entries.map(h => Object.fromEntries(columns.map(key => [COLUMNS[key][0], COLUMNS[key][1](h)])));
+        const ws = XLSX.utils.json_to_sheet(rows);
+        const wb = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(wb, ws, "Spin_History");
+        XLSX.writeFile(wb, `Spin_History_${new Date().toISOString().slice(0,10)}.${format}`, { bookType: format });
+    }
+
+    downloadJson(entries, columns) {
+        const data = {
+            title: this.getTitle(),
+            event: this.dataManager.getActiveEvent().name,
+            exportedAt: new Date().toISOString(),
+            from: this.fromInput.value || null,
+            to: this.toInput.value || null,
+            entries: entries.map(h => Object.fromEntries(columns.map(key => [key, COLUMNS[key][1](h)])))
+        };
+        const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `Spin_History_${new Date().toISOString().slice(0,10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    printReport(entries, columns) {
+        const from = this.fromInput.value;
+        const to = this.toInput.value;
+        const range = from || to ? `${from || 'start'} to ${to || 'today'}` : 'All dates';
+        const wins = entries.filter(h => !h.voided && !h.forfeited).length;
+
+        this.print(`
+            <div class="print-report">
+                <header>
+                    <h1>${escapeAttr(this.getTitle())}</h1>
+                    <p>${escapeAttr(this.dataManager.getActiveEvent().name)} · Winners report · ${range}</p>
+                    <p>${wins} win${wins === 1 ? '' : 's'} · Generated ${new Date().toLocaleString()}</p>
+                </header>
+                <table>
+                    <thead><tr>${columns.map(key => `<th>${COLUMNS[key][0]}</th>`).join('')}</tr></thead>
+                    <tbody>
+                        ${entries.map(h => `
+                            <tr class="${h.voided || h.forfeited ? 'row-voided' : ''}">
+                                ${columns.map(key => `<td>${escapeAttr(key === 'time' ? h.timestamp : COLUMNS[key][1](h))}</td>`).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `, 'print-report-area');
+    }
+
+    /**
+     * One certificate per page
+     */
+    printCertificates(wins) {
+        if (wins.length === 0) {
+            alert("No winners in that date range!");
+            return;
+        }
+        this.print(wins.map(h => this.certificateHtml(h)).join(''), 'print-certificates');
+    }
+
+    /**
+     * Winner modal card, reworded as a certificate
+     */
+    certificateHtml(entry) {
+        const p = entry.winner;
+        const field = (label, value, extra = '') => `
+            <div class="info-card ${extra}">
+                <div class="info-card-content">
+                    <span class="info-label">${label}</span>
+                    <span class="info-value ${extra ? 'text-gold' : ''}">${escapeAttr(value) || 'N/A'}</span>
+                </div>
+            </div>`;
+
+        return `
+            <div class="certificate">
+                <div class="winner-celebration-banner">🏆 Certificate of Winning 🏆</div>
+                <div class="certificate-title">${escapeAttr(this.getTitle())}</div>
+
+                <div class="profile-card-main winner-edition">
+                    <div class="profile-card-header">
+                        <div class="profile-avatar-wrapper">
+                            <div class="profile-avatar winner-avatar-glow" style="background: ${avatarColor(p.name)}">${AVATAR_ICON}</div>
+                        </div>
+                        <div class="profile-identity">
+                            <h2 class="profile-name winner-text-gold">${escapeAttr(p.name)}</h2>
+                            <div class="profile-role-badge winner-badge-gold">${escapeAttr(p.tag) || 'Winner'}</div>
+                        </div>
+                    </div>
+
+                    <div class="profile-grid">
+                        ${entry.prize ? field('Prize', entry.prize, 'prize-card-gold') : ''}
+                        ${field('Drawn On', entry.timestamp)}
+                        ${field('ID Number', p.uid)}
+                        ${field('Supervisor', p.supervisor)}
+                    </div>
+                </div>
+
+                ${entry.seed ? `<div class="certificate-seal">Draw seed ${entry.seed} · verifiable from the draw history</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * One winner's certificate on screen, with a Print button
+     */
+    showCertificate(entry) {
+        this.certificateModal.innerHTML = `
+            <div class="modal-content winner-modal-content-reset">
+                <button class="close-icon-winner" id="btn-close-certificate">&times;</button>
+                ${this.certificateHtml(entry)}
+                <div class="winner-actions">
+                    <button class="modal-btn winner-action-btn" id="btn-print-certificate">🖨 Print / Save as PDF</button>
+                </div>
+            </div>
+        `;
+        this.certificateModal.classList.remove('hidden');
+
+        document.getElementById('btn-close-certificate').addEventListener('click', () => {
+            this.certificateModal.classList.add('hidden');
+            this.certificateModal.innerHTML = '';
+        });
+        document.getElementById('btn-print-certificate').addEventListener('click', () => {
+            this.print(this.certificateHtml(entry), 'print-certificates');
+        });
+    }
+
+    /**
+     * Print only the given markup (see the print styles for #print-area)
+     */
+    print(html, className) {
+        this.printArea.className = className;
+        this.printArea.innerHTML = html;
+        document.body.classList.add('printing');
+        window.print();
+    }
+}
@@ -0,0 +1,193 @@
+import { escapeAttr } from './html.js';
+
+// Filter selects: field -> label of the "any" option
+const FILTER_SELECTS = { shift: 'All shifts', supervisor: 'All supervisors', tag: 'All tags', prize: 'All prizes' };
+
+// Timeline chart size in SVG units (scaled to the panel width)
+const TIMELINE_WIDTH = 600;
+const TIMELINE_HEIGHT = 140;
+
+/**
+ * History modal filters and stats.
+ * Owns the search / date range / field filters and sort order, and the
+ * Stats tab: wins per group, a wins-over-time chart and repeat winners,
+ * all drawn in-page (CSS bars and inline SVG). The entries table itself
+ * stays with the app, which calls getEntries() and renderStats().
+ */
+export class HistoryView {
+    constructor(dataManager, onChange) {
+        this.dataManager = dataManager;
+        this.onChange = onChange;
+
+        this.searchInput = document.getElementById('history-search');
+        this.fromInput = document.getElementById('history-from');
+        this.toInput = document.getElementById('history-to');
+        this.sortSelect = document.getElementById('history-sort');
+        this.countEl = document.getElementById('history-count');
+        this.entriesEl = document.getElementById('history-entries');
+        this.statsEl = document.getElementById('history-stats');
+        this.groupSelect = document.getElementById('history-stats-group');
+        this.selects = {};
+        Object.keys(FILTER_SELECTS).forEach(field => {
+            this.selects[field] = document.getElementById(`history-filter-${field}`);
+        });
+
+        this.tab = 'entries';
+        this.stats = null;
+
+        [this.fromInput, this.toInput, this.sortSelect, ...Object.values(this.selects)].forEach(el => {
+            el.addEventListener('change', () => this.onChange());
+        });
+        this.searchInput.addEventListener('input', () => this.onChange());
+        this.groupSelect.addEventListener('change', () => this.renderGroups());
+        document.getElementById('btn-history-clear-filters').addEventListener('click', () => this.clearFilters());
+        document.querySelectorAll('.history-tab').forEach(btn => {
+            btn.addEventListener('click', () => this.showTab(btn.dataset.tab));
+        });
+    }
+
+    getCriteria() {
+        const criteria = {
+            query: this.searchInput.value,
+            from: this.fromInput.value,
+            to: this.toInput.value,
+            sort: this.sortSelect.value
+        };
+        Object.entries(this.selects).forEach(([field, select]) => {
+            criteria[field] = select.value;
+        });
+        return criteria;
+    }
+
+    /**
+     * History entries passing the current filters, in the chosen order
+     */
+    getEntries() {
+        return this.dataManager.filterHistory(this.getCriteria());
+    }
+
+    clearFilters() {
+        this.searchInput.value = '';
+        this.fromInput.value = '';
+        this.toInput.value = '';
+        Object.values(this.selects).forEach(select => { select.value = ''; });
+        this.onChange();
+    }
+
+    showTab(tab) {
+        this.tab = tab;
+        document.querySelectorAll('.history-tab').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tab === tab);
+        });
+        this.entriesEl.classList.toggle('hidden', tab !== 'entries');
+        this.statsEl.classList.toggle('hidden', tab !== 'stats');
+        this.onChange();
+    }
+
+    /**
+     * Refill the field selects from the history, keeping current choices
+     */
+    renderFilterOptions() {
+        const options = this.dataManager.getHistoryFilterOptions();
+        Object.entries(this.selects).forEach(([field, select]) => {
+            const current = select.value;
+            select.innerHTML = `<option value="">${FILTER_SELECTS[field]}</option>` +
+                options[field].map(value => `<option value="${escapeAttr(value)}">${escapeAttr(value)}</option>`).join('');
+            select.value = options[field].includes(current) ? current : '';
+            select.disabled = options[field].length === 0;
+        });
+    }
+
+    /**
+     * Result count, plus the Stats tab when it's showing
+     */
+    renderStats(entries) {
+        const total = this.dataManager.getHistory().length;
+        this.countEl.textContent = entries.length === total ? `${total} entries` : `${entries.length} of ${total} entries`;
+        if (this.tab !== 'stats') return;
+
+        this.stats = this.dataManager.getHistoryStats(entries);
+        const { wins, repeatWinners, timeline } = this.stats;
+        document.getElementById('history-stats-summary').innerHTML = `
+            <span class="odds-fact"><strong>Wins:</strong> ${wins}</span>
+            <span class="odds-fact"><strong>Different winners:</strong> ${new Set(entries.filter(h => !h.voided && !h.forfeited).map(h => h.winner.id)).size}</span>
+            <span class="odds-fact"><strong>Won more than once:</strong> ${repeatWinners.length}</span>
+            <span class="odds-fact"><strong>Voided / forfeited:</strong> ${entries.length - wins}</span>
+        `;
+        this.renderGroups();
+        this.renderTimeline(timeline);
+        this.renderRepeatWinners(repeatWinners);
+    }
+
+    renderGroups() {
+        const el = document.getElementById('history-stats-groups');
+        if (!this.stats) return;
+        const rows = this.stats.groups[this.groupSelect.value];
+        if (rows.length === 0) {
+            el.innerHTML = '<p class="odds-empty">No wins match the filters.</p>';
+            return;
+        }
+        const max = rows[0][1];
+        el.innerHTML = rows.map(([label, count]) => `
+            <div class="chart-bar-row">
+                <span class="chart-bar-label" title="${escapeAttr(label)}">${escapeAttr(label)}</span>
+                <div class="chart-bar-track">
+                    <div class="chart-bar-fill" style="width: ${(count / max) * 100}%"></div>
+                </div>
+                <span class="chart-bar-value">${count}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Column per day (or month), as inline SVG
+     */
+    renderTimeline({ unit, buckets }) {
+        const el = document.getElementById('history-stats-timeline');
+        if (buckets.length === 0) {
+            el.innerHTML = '<p class="odds-empty">No wins match the filters.</p>';
+            return;
+        }
+        const max = buckets.reduce((m, [, count]) => Math.max(m, count), 0);
+        const slot = TIMELINE_WIDTH / buckets.length;
+        const gap = slot > 4 ? Math.min(4, slot * 0.2) : 0;
+        const columns = buckets.map(([label, count], i) => {
+            const height = (count / max) * TIMELINE_HEIGHT;
+            return `<rect x="${i * slot + gap / 2}" y="${TIMELINE_HEIGHT - height}" width="${slot - gap}" height="${height}" rx="2">
+                <title>${label}: ${count} win${count === 1 ? '' : 's'}</title>
+            </rect>`;
+        }).join('');
+
+        el.innerHTML = `
+            <svg class="timeline-chart" viewBox="0 0 ${TIMELINE_WIDTH} ${TIMELINE_HEIGHT}" preserveAspectRatio="none" role="img"
+                aria-label="Wins per ${unit}">${columns}</svg>
+            <div class="timeline-axis">
+                <span>${buckets[0][0]}</span>
+                <span>Peak ${max} per ${unit}</span>
+                <span>${buckets[buckets.length - 1][0]}</span>
+            </div>
+        `;
+    }
+
+    renderRepeatWinners(rows) {
+        const el = document.getElementById('history-stats-repeat');
+        if (rows.length === 0) {
+            el.innerHTML = '<p class="odds-empty">Nobody has won more than once.</p>';
+            return;
+        }
+        el.innerHTML = `
+            <table class="data-table">
+                <thead><tr><th>Winner</th><th>Wins</th><th>Prizes</th></tr></thead>
+                <tbody>
+                    ${rows.map(({ winner, count, prizes }) => `
+                        <tr>
+                            <td>${escapeAttr(winner.name)}${winner.uid ? ` <span class="repeat-uid">${escapeAttr(winner.uid)}</span>` : ''}</td>
+                            <td>${count}</td>
+                            <td>${escapeAttr(prizes.join(', ')) || '—'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+}
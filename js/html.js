@@ -0,0 +1,22 @@
+/**
+ * Small helpers for building HTML strings.
+ */
+
+/**
+ * Escape a value for use inside element text or a "..." attribute
+ */
+export const escapeAttr = (value) => String(value ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+/**
+ * Avatar background for a name, the same colour the picker cards and winner modal use
+ */
+export const avatarColor = (name) => {
+    const hash = name.split('').reduce((acc, char) => char.charCodeAt(0) + ((acc << 5) - acc), 0);
+    return `hsl(${Math.abs(hash % 360)}, 70%, 65%)`;
+};
+
+export const AVATAR_ICON = `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"></path>
+        <circle cx="12" cy="7" r="4"></circle>
+    </svg>`;
@@ -0,0 +1,332 @@
+import { PARTICIPANT_FIELDS } from './dataManager.js';
+import { escapeAttr } from './html.js';
+
+// Data rows shown in the preview table
+const PREVIEW_ROWS = 5;
+
+// Duplicate resolutions offered on the review step
+const CONFLICT_ACTIONS = [
+    { key: 'skip', label: 'Skip' },
+    { key: 'replace', label: 'Replace' },
+    { key: 'merge', label: 'Merge Weights' },
+    { key: 'keep', label: 'Keep Both' }
+];
+
+/**
+ * Import preview step for participant spreadsheets.
+ * Lets the user pick a sheet, confirm the header row and map each column
+ * to a participant field before anything is added to the pool, fix or
+ * exclude rows that fail validation, then review any duplicates the
+ * import would create.
+ */
+export class ImportWizard {
+    constructor(dataManager, onImport) {
+        this.dataManager = dataManager;
+        this.onImport = onImport; // Callback(summary) after a successful import
+
+        this.el = document.getElementById('import-wizard');
+        this.fileNameEl = document.getElementById('import-file-name');
+        this.sheetSelect = document.getElementById('import-sheet');
+        this.headerToggle = document.getElementById('import-has-header');
+        this.previewTable = document.getElementById('import-preview');
+        this.modeSelect = document.getElementById('import-mode');
+        this.btnCommit = document.getElementById('btn-import-commit');
+        this.btnBack = document.getElementById('btn-import-back');
+
+        // Steps
+        this.mappingStep = document.getElementById('import-step-mapping');
+        this.validationStep = document.getElementById('import-step-validation');
+        this.validationBody = document.getElementById('import-validation-body');
+        this.validationHead = document.getElementById('import-validation-head');
+        this.validationSummary = document.getElementById('import-validation-summary');
+        this.reviewStep = document.getElementById('import-step-review');
+        this.reviewBody = document.getElementById('import-review-body');
+        this.reviewSummary = document.getElementById('import-review-summary');
+
+        this.workbook = null;
+        this.rows = [];
+        this.mapping = [];
+        this.hasHeader = false;
+        this.step = 'mapping'; // 'mapping' | 'validation' | 'review'
+        this.entries = []; // Validated rows, set once past the mapping step
+        this.reportEntries = []; // Entries listed on the validation step
+        this.parsed = null; // Set while on the review step
+        this.conflicts = [];
+
+        this.sheetSelect.addEventListener('change', () => this.loadSheet(this.sheetSelect.value));
+        this.headerToggle.addEventListener('change', () => this.setHasHeader(this.headerToggle.checked));
+        this.modeSelect.addEventListener('change', () => { if (this.step === 'review') this.back(); });
+        this.previewTable.addEventListener('change', (e) => {
+            if (e.target.matches('.import-map')) this.setColumnField(Number(e.target.dataset.col), e.target.value);
+        });
+        this.validationBody.addEventListener('change', (e) => {
+            const entry = this.reportEntries[Number(e.target.dataset.index)];
+            if (e.target.matches('.import-fix')) entry.values[e.target.dataset.field] = e.target.value.trim();
+            if (e.target.matches('.import-exclude')) entry.excluded = e.target.checked;
+            this.renderValidation();
+        });
+        document.getElementById('btn-import-exclude-invalid').addEventListener('click', () => {
+            this.reportEntries.forEach(entry => { if (this.hasErrors(entry)) entry.excluded = true; });
+            this.renderValidation();
+        });
+        this.reviewBody.addEventListener('change', (e) => {
+            if (e.target.matches('.import-action')) this.conflicts[Number(e.target.dataset.index)].action = e.target.value;
+        });
+        document.getElementById('import-review-all').addEventListener('change', (e) => {
+            if (!e.target.value) return;
+            this.conflicts.forEach(c => { c.action = e.target.value; });
+            e.target.value = '';
+            this.renderReview();
+        });
+        document.getElementById('btn-import-cancel').addEventListener('click', () => this.close());
+        this.btnBack.addEventListener('click', () => this.back());
+        this.btnCommit.addEventListener('click', () => {
+            if (this.step === 'mapping') this.commit();
+            else if (this.step === 'validation') this.review();
+            else this.finish();
+        });
+    }
+
+    async open(file) {
+        this.workbook = await this.dataManager.readWorkbook(file);
+        this.fileNameEl.textContent = file.name;
+
+        // Sheet picker only matters for multi-sheet workbooks
+        this.sheetSelect.innerHTML = this.workbook.SheetNames.map(name => `<option value="${escapeAttr(name)}">${escapeAttr(name)}</option>`).join('');
+        this.sheetSelect.classList.toggle('hidden', this.workbook.SheetNames.length < 2);
+
+        this.modeSelect.value = 'append';
+        this.loadSheet(this.workbook.SheetNames[0]);
+        this.el.classList.remove('hidden');
+    }
+
+    close() {
+        this.el.classList.add('hidden');
+        this.workbook = null;
+        this.rows = [];
+        this.entries = [];
+        this.reportEntries = [];
+        this.parsed = null;
+        this.conflicts = [];
+    }
+
+    showStep(step) {
+        this.step = step;
+        this.mappingStep.classList.toggle('hidden', step !== 'mapping');
+        this.validationStep.classList.toggle('hidden', step !== 'validation');
+        this.reviewStep.classList.toggle('hidden', step !== 'review');
+        this.btnBack.classList.toggle('hidden', step === 'mapping');
+    }
+
+    showMappingStep() {
+        this.entries = [];
+        this.reportEntries = [];
+        this.parsed = null;
+        this.showStep('mapping');
+        this.render();
+    }
+
+    /**
+     * Step back, keeping inline fixes when returning to the validation step
+     */
+    back() {
+        if (this.step === 'review' && this.reportEntries.length > 0) {
+            this.parsed = null;
+            this.showStep('validation');
+            this.renderValidation();
+        } else {
+            this.showMappingStep();
+        }
+    }
+
+    loadSheet(sheetName) {
+        this.rows = this.dataManager.getSheetRows(this.workbook, sheetName);
+        const { mapping, hasHeader } = this.dataManager.suggestMapping(this.rows[0] || []);
+        this.mapping = mapping;
+        this.hasHeader = hasHeader;
+        this.showMappingStep();
+    }
+
+    setHasHeader(hasHeader) {
+        this.hasHeader = hasHeader;
+        const suggestion = this.dataManager.suggestMapping(hasHeader ? this.rows[0] || [] : []);
+        this.mapping = suggestion.mapping;
+        this.showMappingStep();
+    }
+
+    /**
+     * Map a column to a field; a field can only come from one column
+     */
+    setColumnField(col, field) {
+        if (field) this.mapping = this.mapping.map(f => f === field ? '' : f);
+        this.mapping[col] = field;
+        this.render();
+    }
+
+    render() {
+        const dataRows = this.rows.slice(this.hasHeader ? 1 : 0);
+        const width = Math.max(1, ...this.rows.slice(0, 50).map(r => (r ? r.length : 0)));
+        while (this.mapping.length < width) this.mapping.push('');
+
+        const cell = (row, col) => (row && row[col] !== undefined ? escapeAttr(row[col]) : '');
+        const options = (col) => [
+            `<option value="">Ignore</option>`,
+            ...PARTICIPANT_FIELDS.map(f => `<option value="${f.key}" ${this.mapping[col] === f.key ? 'selected' : ''}>${f.label}</option>`)
+        ].join('');
+
+        const cols = Array.from({ length: width }, (_, i) => i);
+        this.previewTable.innerHTML = `
+            <thead>
+                <tr>
+                    ${cols.map(col => `<th><select class="select-input import-map" data-col="${col}">${options(col)}</select></th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${this.hasHeader ? `
+                <tr class="import-header-row">
+                    ${cols.map(col => `<td>${cell(this.rows[0], col)}</td>`).join('')}
+                </tr>` : ''}
+                ${dataRows.slice(0, PREVIEW_ROWS).map(row => `
+                <tr>
+                    ${cols.map(col => `<td>${cell(row, col)}</td>`).join('')}
+                </tr>`).join('')}
+            </tbody>
+        `;
+
+        this.headerToggle.checked = this.hasHeader;
+        this.btnCommit.textContent = `Import ${dataRows.length} Row${dataRows.length === 1 ? '' : 's'}`;
+        this.btnCommit.disabled = !this.mapping.includes('name');
+    }
+
+    hasErrors(entry) {
+        return entry.issues.some(i => i.level === 'error');
+    }
+
+    /**
+     * Validate the mapped rows; list any with problems before going further
+     */
+    commit() {
+        this.entries = this.dataManager.validateImportEntries(
+            this.dataManager.readImportEntries(this.rows, this.mapping, this.hasHeader)
+        );
+        this.reportEntries = this.entries.filter(entry => entry.issues.length > 0);
+
+        if (this.reportEntries.length === 0) {
+            this.review();
+            return;
+        }
+        this.showStep('validation');
+        this.renderValidation();
+    }
+
+    renderValidation() {
+        this.dataManager.validateImportEntries(this.entries);
+
+        const fields = PARTICIPANT_FIELDS.filter(f => this.mapping.includes(f.key));
+        const blocking = this.reportEntries.filter(entry => !entry.excluded && this.hasErrors(entry)).length;
+        const importable = this.dataManager.entriesToParticipants(this.entries).length;
+
+        this.validationHead.innerHTML = `
+            <tr>
+                <th>Row</th>
+                ${fields.map(f => `<th>${f.label}</th>`).join('')}
+                <th>Problems</th>
+                <th>Exclude</th>
+            </tr>`;
+        this.validationBody.innerHTML = this.reportEntries.map((entry, i) => {
+            const fieldIssues = (key) => entry.issues.filter(issue => issue.field === key);
+            const status = entry.excluded ? '<span class="detail-pill">Excluded</span>'
+                : entry.issues.length === 0 ? '<span class="import-fixed">Fixed</span>'
+                : entry.issues.map(issue => `<div class="import-issue ${issue.level}">${escapeAttr(issue.message)}</div>`).join('');
+
+            return `
+            <tr class="${entry.excluded ? 'row-voided' : ''}">
+                <td>${entry.row}</td>
+                ${fields.map(f => `
+                <td>
+                    <input type="text"
+                           class="input-weight import-fix ${fieldIssues(f.key).some(issue => issue.level === 'error') ? 'invalid' : ''}"
+                           value="${escapeAttr(entry.values[f.key])}"
+                           data-index="${i}"
+                           data-field="${f.key}"
+                           ${entry.excluded ? 'disabled' : ''}
+                    >
+                </td>`).join('')}
+                <td>${status}</td>
+                <td><input type="checkbox" class="import-exclude" data-index="${i}" ${entry.excluded ? 'checked' : ''}></td>
+            </tr>`;
+        }).join('');
+
+        this.validationSummary.textContent = blocking > 0
+            ? `${blocking} row${blocking === 1 ? '' : 's'} to fix or exclude`
+            : `All problems resolved`;
+        this.btnCommit.textContent = `Continue with ${importable} Row${importable === 1 ? '' : 's'}`;
+        this.btnCommit.disabled = blocking > 0 || importable === 0;
+    }
+
+    /**
+     * Build participants from the validated rows; review duplicates first if there are any
+     */
+    review() {
+        const parsed = this.dataManager.entriesToParticipants(this.entries);
+        if (parsed.length === 0) {
+            alert("Error: No valid data found.");
+            return;
+        }
+
+        const mode = this.modeSelect.value;
+        if (mode === 'replace' && this.dataManager.getParticipants().length > 0
+            && !confirm(`Replace all ${this.dataManager.getParticipants().length} current participants?`)) {
+            return;
+        }
+
+        this.parsed = parsed;
+        this.conflicts = this.dataManager.findDuplicates(parsed, mode);
+        if (this.conflicts.length === 0) {
+            this.finish();
+            return;
+        }
+
+        // Review step
+        this.showStep('review');
+        this.btnCommit.textContent = `Import ${parsed.length} Row${parsed.length === 1 ? '' : 's'}`;
+        this.btnCommit.disabled = false;
+        this.renderReview();
+    }
+
+    renderReview() {
+        const describe = (p) => `
+            <div class="import-person">
+                <strong>${escapeAttr(p.name)}</strong>
+                <span>${escapeAttr([p.uid, p.shift, p.tag].filter(Boolean).join(' · ')) || '-'}</span>
+                <span>Weight ${escapeAttr(p.weight)}</span>
+            </div>`;
+
+        this.reviewSummary.textContent = `${this.conflicts.length} possible duplicate${this.conflicts.length === 1 ? '' : 's'} found`;
+        this.reviewBody.innerHTML = this.conflicts.map((c, i) => `
+            <tr>
+                <td>${describe(c.incoming)}</td>
+                <td>
+                    ${describe(c.existing)}
+                    <span class="detail-pill">${c.source === 'pool' ? 'Current list' : 'Earlier in file'}</span>
+                </td>
+                <td>
+                    <select class="select-input import-action" data-index="${i}">
+                        ${CONFLICT_ACTIONS.map(a => `<option value="${a.key}" ${c.action === a.key ? 'selected' : ''}>${a.label}</option>`).join('')}
+                    </select>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    finish() {
+        const summary = this.dataManager.importParticipants(this.parsed, {
+            mode: this.modeSelect.value,
+            conflicts: this.conflicts
+        });
+
+        if (this.hasHeader) this.dataManager.rememberMapping(this.rows[0], this.mapping);
+        this.close();
+        this.onImport(summary);
+    }
+}
@@ -2,12 +2,34 @@ import { DataManager } from './dataManager.js';
 import { PickerLogic } from './pickerLogic.js';
 import { AnimationEngine } from './animationEngine.js';
 import { AudioManager } from './audioManager.js';
+import { ImportWizard } from './importWizard.js';
+import { VirtualTable } from './virtualTable.js';
+import { WheelEngine } from './wheelEngine.js';
+import { SlotEngine } from './slotEngine.js';
+import { FlipEngine } from './flipEngine.js';
+import { EliminationEngine } from './eliminationEngine.js';
+import { TeamGenerator } from './teamGenerator.js';
+import { SecretSanta } from './secretSanta.js';
+import { OddsReport, formatOdds } from './oddsReport.js';
+import { HistoryView } from './historyView.js';
+import { HistoryExport } from './historyExport.js';
+import { escapeAttr, avatarColor, AVATAR_ICON } from './html.js';
+
+// Fields the participants table edits inline and searches
+const TABLE_TEXT_FIELDS = ['name', 'uid', 'supervisor', 'shift', 'tag'];
 
 class App {
     constructor() {
         // Elements
         this.track = document.getElementById('picker-track');
+        this.pickerWindow = this.track.parentElement;
+        this.wheelCanvas = document.getElementById('picker-wheel');
+        this.slotEl = document.getElementById('picker-slot');
+        this.flipEl = document.getElementById('picker-flip');
+        this.eliminationEl = document.getElementById('picker-elimination');
         this.btnSpin = document.getElementById('btn-spin');
+        this.btnUndo = document.getElementById('btn-undo');
+        this.btnRedo = document.getElementById('btn-redo');
         
         // Modals
         this.modalWinner = document.getElementById('modal-winner');
@@ -16,6 +38,7 @@ class App {
         this.winnerDetailsDisplay = document.getElementById('winner-details');
         
         this.modalParticipants = document.getElementById('modal-participants');
+        this.modalPrizes = document.getElementById('modal-prizes');
         this.modalHistory = document.getElementById('modal-history');
         
         // Inputs
@@ -30,30 +53,95 @@ class App {
         this.historyListEl = document.getElementById('history-list');
         this.participantCountEl = document.getElementById('participant-count');
         this.participantsTableBody = document.getElementById('participants-table-body');
+        this.participantsTableHead = document.getElementById('participants-table-head');
+        this.participantSelectAll = document.getElementById('participants-select-all');
+        this.participantBulkEl = document.getElementById('participant-bulk');
+        this.prizesTableBody = document.getElementById('prizes-table-body');
+        this.prizeCountEl = document.getElementById('prize-count');
+        this.prizesLeftEl = document.getElementById('prizes-left');
+        this.filterBuilderEl = document.getElementById('filter-builder');
+        this.filterSummaryEl = document.getElementById('filter-summary');
+        this.eventSelect = document.getElementById('event-select');
+        this.btnClearExclusions = document.getElementById('btn-clear-exclusions');
         
         // Modules
         this.dataManager = new DataManager();
+        this.dataManager.onSaveStatus = (ok) => this.renderSaveStatus(ok);
+        this.renderSaveStatus(this.dataManager.saveOk);
         this.audioManager = new AudioManager();
         
+        this.participantTable = new VirtualTable(this.participantsTableBody, (p) => this.renderParticipantRow(p));
+        this.historyTable = new VirtualTable(this.historyListEl, (en) => this.renderHistoryRow(en));
+        
+        this.importWizard = new ImportWizard(this.dataManager, (summary) => {
+            this.updateParticipantsUI();
+            this.startIdleSequence(); // Restart idle with new data
+            alert(`Import complete: ${summary.added} added, ${summary.replaced} replaced, ${summary.merged} merged, ${summary.skipped} skipped.`);
+        });
+        this.teamGenerator = new TeamGenerator(this.dataManager, this.audioManager);
+        this.secretSanta = new SecretSanta(this.dataManager, this.audioManager);
+        this.oddsReport = new OddsReport(this.dataManager);
+        this.historyView = new HistoryView(this.dataManager, () => this.renderHistory());
+        this.historyExport = new HistoryExport(this.dataManager);
+        
         // Measurements
         this.animationEngine = new AnimationEngine(this.track, 280, 20);
+        this.wheelEngine = new WheelEngine(this.wheelCanvas);
+        this.slotEngine = new SlotEngine(this.slotEl);
+        this.flipEngine = new FlipEngine(this.flipEl);
+        this.eliminationEngine = new EliminationEngine(this.eliminationEl);
+
+        // Spin displays by settings.displayMode, each with the element it draws into
+        this.displays = {
+            track: { engine: this.animationEngine, el: this.track },
+            wheel: { engine: this.wheelEngine, el: this.wheelCanvas },
+            slot: { engine: this.slotEngine, el: this.slotEl },
+            flip: { engine: this.flipEngine, el: this.flipEl },
+            elimination: { engine: this.eliminationEngine, el: this.eliminationEl }
+        };
+        this.activeDisplay = 'track';
+        this.defaultIdleSpeed = this.animationEngine.baseIdleSpeed;
         
         // State
         this.winnerIndexKey = 60; // Target index for winning card
         this.currentTheme = 'standard';
         this.idleQueue = []; // Queue for idle scroll cycling
+        this.trackVisuals = []; // Idle cycle shown on the track, repeated endlessly
+        this.trackOverrides = new Map(); // Track index -> participant for spin landings
+        this.trackWinnerIndex = null;
+        this.trackOdds = null; // Participant id -> chance, shown on cards (oddsOverlay setting)
+        this.trackMaxOdds = 0;
+        this.participantQuery = ''; // Participants table search
+        this.participantSort = { key: '', dir: 1 }; // '' keeps list order
+        this.selectedParticipantIds = new Set(); // Rows ticked for bulk actions
+        this.visibleParticipants = []; // Current search/sort result
+        this.participantOdds = new Map(); // Participant id -> chance of winning the next draw
         
         this.init();
     }
 
     init() {
         this.setupEventListeners();
+        this.renderEventSwitcher();
+        this.applySettings();
         this.updateParticipantsUI();
+        this.updatePrizesUI();
+        this.updateUndoUI();
         
         // Link animation events
         this.animationEngine.onTick = () => this.audioManager.playTick();
         this.animationEngine.onFinish = () => this.onSpinFinish();
         this.animationEngine.onCardExit = () => this.handleIdleLoop();
+        this.eliminationEngine.onRound = (round, total, remaining) => {
+            this.audioManager.playElimination(round, total);
+            const statusEl = document.getElementById('status-indicator');
+            statusEl.textContent = `Round ${round + 1} of ${total}: ${remaining} Left`;
+        };
+        [this.wheelEngine, this.slotEngine, this.flipEngine, this.eliminationEngine].forEach(engine => {
+            engine.onTick = () => this.audioManager.playTick();
+            engine.onFinish = () => this.onSpinFinish();
+        });
+        window.addEventListener('resize', () => this.wheelEngine.resize());
         
         // Start Idle Mode
         this.startIdleSequence();
@@ -63,12 +151,30 @@ class App {
         // Spin
         this.btnSpin.addEventListener('click', () => this.spin());
         
+        // Undo / Redo
+        this.btnUndo.addEventListener('click', () => this.undo());
+        this.btnRedo.addEventListener('click', () => this.redo());
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.target.matches('input, textarea, select')) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+        
         // Settings Panel Toggle
         const toggleSettings = () => {
             this.settingsPanel.classList.toggle('hidden-panel');
             this.panelOverlay.classList.toggle('hidden');
         };
-        document.getElementById('btn-settings').addEventListener('click', toggleSettings);
+        document.getElementById('btn-settings').addEventListener('click', () => {
+            this.renderFilterBuilder();
+            toggleSettings();
+        });
         document.getElementById('btn-close-settings').addEventListener('click', toggleSettings);
         this.panelOverlay.addEventListener('click', toggleSettings);
 
@@ -90,10 +196,89 @@ class App {
              this.modalParticipants.classList.add('hidden');
         });
         
+        // Prizes Toggle
+        document.getElementById('btn-prizes').addEventListener('click', () => {
+            this.updatePrizesUI();
+            this.modalPrizes.classList.remove('hidden');
+        });
+        document.getElementById('btn-close-prizes').addEventListener('click', () => {
+             this.modalPrizes.classList.add('hidden');
+        });
+
+        // Events
+        document.getElementById('event-select').addEventListener('change', (e) => this.switchEvent(e.target.value));
+        document.getElementById('btn-event-new').addEventListener('click', () => {
+            if (this.btnSpin.disabled) return; // Not mid-spin
+            const name = prompt("Name for the new event:");
+            if (name === null) return;
+            this.dataManager.createEvent(name);
+            this.refreshAfterEventSwitch();
+        });
+        document.getElementById('btn-event-rename').addEventListener('click', () => {
+            const event = this.dataManager.getActiveEvent();
+            const name = prompt("Rename event:", event.name);
+            if (name === null) return;
+            this.dataManager.renameEvent(event.id, name);
+            this.renderEventSwitcher();
+        });
+        document.getElementById('btn-event-clone').addEventListener('click', () => {
+            if (this.btnSpin.disabled) return; // Not mid-spin
+            const event = this.dataManager.getActiveEvent();
+            const name = prompt("Name for the copy (participants, prizes and settings are copied, history is not):", `${event.name} (copy)`);
+            if (name === null) return;
+            this.dataManager.cloneEvent(event.id, name);
+            this.refreshAfterEventSwitch();
+        });
+        document.getElementById('btn-event-archive').addEventListener('click', () => {
+            if (this.btnSpin.disabled) return; // Not mid-spin
+            const event = this.dataManager.getActiveEvent();
+            if (!confirm(`Archive "${event.name}"? It stays available under Archived in the event list.`)) return;
+            this.dataManager.setEventArchived(event.id);
+            this.refreshAfterEventSwitch();
+        });
+
+        // Project Backup
+        document.getElementById('btn-export-project').addEventListener('click', () => this.exportProject());
+        document.getElementById('btn-import-project').addEventListener('click', () => {
+            document.getElementById('project-file-upload').click();
+        });
+        document.getElementById('project-file-upload').addEventListener('change', (e) => this.importProject(e));
+
+        // Teams Toggle
+        document.getElementById('btn-teams').addEventListener('click', () => this.teamGenerator.open());
+
+        // Odds Summary
+        document.getElementById('link-view-odds').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.oddsReport.open();
+        });
+
+        // Secret Santa Toggle
+        document.getElementById('btn-santa').addEventListener('click', () => this.secretSanta.open());
+        
         // Settings Controls
+        this.filterBuilderEl.addEventListener('click', (e) => {
+            const chip = e.target.closest('.filter-chip');
+            if (chip) this.toggleFilterValue(chip.dataset.field, chip.dataset.value);
+        });
+        this.btnClearExclusions.addEventListener('click', () => {
+            this.dataManager.clearExclusions();
+            this.updateUndoUI();
+            this.startIdleSequence();
+        });
+        document.getElementById('btn-clear-filter').addEventListener('click', () => {
+            this.dataManager.clearFilter();
+            this.renderFilterBuilder();
+            this.startIdleSequence();
+        });
+
         document.getElementById('set-mode-random').addEventListener('click', (e) => this.setMode('random', e.target));
         document.getElementById('set-mode-weighted').addEventListener('click', (e) => this.setMode('weighted', e.target));
         
+        document.getElementById('toggle-secure-seeds').addEventListener('change', (e) => {
+             this.dataManager.updateSettings({ secureSeeds: e.target.checked });
+        });
+
         document.getElementById('toggle-sound').addEventListener('change', (e) => {
             this.audioManager.isMuted = !e.target.checked;
         });
@@ -102,8 +287,55 @@ class App {
              this.dataManager.setRemoveWinner(e.target.checked);
         });
 
+        document.getElementById('batch-size').addEventListener('change', (e) => {
+            const size = Math.max(1, parseInt(e.target.value) || 1);
+            e.target.value = size;
+            this.dataManager.updateSettings({ batchSize: size });
+        });
+
+        document.getElementById('batch-reveal').addEventListener('change', (e) => {
+            this.dataManager.updateSettings({ batchReveal: e.target.value });
+        });
+
+        document.getElementById('display-mode').addEventListener('change', (e) => {
+            this.dataManager.updateSettings({ displayMode: e.target.value });
+            this.randomizeAndRender();
+        });
+
+        document.getElementById('elimination-per-round').addEventListener('change', (e) => {
+            const perRound = Math.max(0, parseInt(e.target.value) || 0);
+            e.target.value = perRound;
+            this.dataManager.updateSettings({ eliminationPerRound: perRound });
+        });
+
+        document.getElementById('fairness-policy').addEventListener('change', (e) => {
+            this.dataManager.updateSettings({ fairness: { ...this.dataManager.getSettings().fairness, policy: e.target.value } });
+            this.renderFairnessWindow();
+            this.startIdleSequence();
+        });
+
+        document.getElementById('fairness-value').addEventListener('change', (e) => {
+            const fairness = this.dataManager.getSettings().fairness;
+            const value = Math.max(1, parseInt(e.target.value) || 1);
+            e.target.value = value;
+            const key = fairness.policy === 'cooldown-draws' ? 'draws' : 'days';
+            this.dataManager.updateSettings({ fairness: { ...fairness, [key]: value } });
+            this.startIdleSequence();
+        });
+
+        document.getElementById('odds-overlay').addEventListener('change', (e) => {
+            this.dataManager.updateSettings({ oddsOverlay: e.target.value });
+            this.randomizeAndRender();
+        });
+
+        document.getElementById('weight-display').addEventListener('change', (e) => {
+            this.dataManager.updateSettings({ weightDisplay: e.target.value });
+            if (this.dataManager.mode === 'weighted') this.randomizeAndRender();
+        });
+
         document.getElementById('anim-theme').addEventListener('change', (e) => {
             this.currentTheme = e.target.value;
+            this.dataManager.updateSettings({ theme: this.currentTheme });
         });
 
         // Winner Modal Close
@@ -118,6 +350,9 @@ class App {
         durationInput.addEventListener('input', (e) => {
             durationDisplay.textContent = e.target.value + 's';
         });
+        durationInput.addEventListener('change', (e) => {
+            this.dataManager.updateSettings({ spinDuration: parseInt(e.target.value) });
+        });
 
         // Idle Speed Slider
         const idleSpeedInput = document.getElementById('idle-speed');
@@ -125,16 +360,19 @@ class App {
         idleSpeedInput.addEventListener('input', (e) => {
             const speed = parseFloat(e.target.value);
             idleSpeedDisplay.textContent = speed.toFixed(1);
-            this.animationEngine.idleSpeed = speed;
+            Object.values(this.displays).forEach(d => d.engine.setIdleSpeed(speed));
+        });
+        idleSpeedInput.addEventListener('change', (e) => {
+            this.dataManager.updateSettings({ idleSpeed: parseFloat(e.target.value) });
         });
 
         // App Title Input
         const titleInput = document.getElementById('app-title-input');
         titleInput.addEventListener('input', (e) => {
-            const val = e.target.value;
-            // document.querySelector('.navbar-brand').textContent = val || 'Premium Random Picker'; // REMOVED: Destroys logo
-            document.getElementById('app-title-display').textContent = val || 'Premium Random Picker';
-            document.title = val || 'Premium Random Picker';
+            this.setAppTitle(e.target.value);
+        });
+        titleInput.addEventListener('change', (e) => {
+            this.dataManager.updateSettings({ appTitle: e.target.value });
         });
 
         // File Upload
@@ -159,13 +397,151 @@ class App {
             }
         });
 
+        // Participants Table
+        document.getElementById('participant-add-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addParticipant(e.target);
+        });
+        document.getElementById('participant-search').addEventListener('input', (e) => {
+            this.participantQuery = e.target.value.trim().toLowerCase();
+            this.updateParticipantsUI();
+        });
+        this.participantsTableHead.addEventListener('click', (e) => {
+            const th = e.target.closest('th[data-sort]');
+            if (!th) return;
+            const { key, dir } = this.participantSort;
+            this.participantSort = { key: th.dataset.sort, dir: key === th.dataset.sort ? -dir : 1 };
+            this.updateParticipantsUI();
+        });
+        this.participantSelectAll.addEventListener('change', (e) => {
+            this.visibleParticipants.forEach(p => {
+                if (e.target.checked) this.selectedParticipantIds.add(p.id);
+                else this.selectedParticipantIds.delete(p.id);
+            });
+            this.updateParticipantsUI();
+        });
+        this.participantsTableBody.addEventListener('change', (e) => {
+            const { id, field } = e.target.dataset;
+            if (e.target.matches('.participant-select')) {
+                if (e.target.checked) this.selectedParticipantIds.add(id);
+                else this.selectedParticipantIds.delete(id);
+                this.updateBulkUI();
+            } else if (e.target.matches('.input-cell')) {
+                this.editParticipant(id, field, e.target.value);
+            }
+        });
+        this.participantsTableBody.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-remove]');
+            if (!btn) return;
+            this.dataManager.removeParticipant(btn.dataset.remove);
+            this.updateParticipantsUI();
+            this.startIdleSequence();
+        });
+        document.getElementById('btn-bulk-weight').addEventListener('click', () => {
+            const weight = document.getElementById('bulk-weight').value;
+            if (weight) this.bulkUpdateParticipants({ weight });
+        });
+        document.getElementById('btn-bulk-tag').addEventListener('click', () => {
+            this.bulkUpdateParticipants({ tag: document.getElementById('bulk-tag').value });
+        });
+        document.getElementById('btn-bulk-delete').addEventListener('click', () => {
+            const ids = [...this.selectedParticipantIds];
+            if (!ids.length || !confirm(`Delete ${ids.length} selected participant${ids.length === 1 ? '' : 's'}?`)) return;
+            this.dataManager.removeParticipants(ids);
+            this.selectedParticipantIds.clear();
+            this.updateParticipantsUI();
+            this.startIdleSequence();
+        });
+
         document.getElementById('link-template').addEventListener('click', (e) => {
             e.preventDefault();
             this.downloadTemplate();
         });
         
+        // Prize Actions
+        this.prizesTableBody.addEventListener('click', (e) => {
+            const move = e.target.closest('[data-move]');
+            const remove = e.target.closest('[data-remove-prize]');
+            if (move) this.dataManager.movePrize(move.dataset.move, parseInt(move.dataset.direction));
+            else if (remove) this.dataManager.removePrize(remove.dataset.removePrize);
+            else return;
+            this.updatePrizesUI();
+        });
+        this.prizesTableBody.addEventListener('change', (e) => {
+            if (!e.target.dataset.quantity) return;
+            this.dataManager.updatePrize(e.target.dataset.quantity, { quantity: e.target.value });
+            this.updatePrizesUI();
+        });
+
+        const prizeFileInput = document.getElementById('prize-file-upload');
+        prizeFileInput.addEventListener('change', (e) => this.handlePrizeFileUpload(e));
+
+        const prizeDropZone = document.getElementById('prize-drop-zone');
+        prizeDropZone.addEventListener('dragover', (e) => { e.preventDefault(); prizeDropZone.classList.add('drag-over'); });
+        prizeDropZone.addEventListener('dragleave', () => prizeDropZone.classList.remove('drag-over'));
+        prizeDropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            prizeDropZone.classList.remove('drag-over');
+            if(e.dataTransfer.files.length) this.handlePrizeFileUpload({ target: { files: e.dataTransfer.files } });
+        });
+
+        document.getElementById('prize-add-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const nameInput = document.getElementById('prize-add-name');
+            if(!nameInput.value.trim()) return;
+            this.dataManager.addPrize({
+                name: nameInput.value,
+                quantity: document.getElementById('prize-add-qty').value,
+                image: document.getElementById('prize-add-image').value.trim()
+            });
+            e.target.reset();
+            this.updatePrizesUI();
+        });
+
+        document.getElementById('btn-clear-prizes').addEventListener('click', () => {
+            if(confirm("Clear all prizes?")) {
+                this.dataManager.clearPrizes();
+                this.updatePrizesUI();
+            }
+        });
+
+        document.getElementById('link-export-prizes').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.downloadPrizes();
+        });
+
+        document.getElementById('link-prize-template').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.downloadPrizeTemplate();
+        });
+
         document.getElementById('btn-download-history').addEventListener('click', () => {
-             this.downloadHistory();
+             if (this.dataManager.getHistory().length === 0) {
+                 alert("No history to export!");
+                 return;
+             }
+             const { from, to } = this.historyView.getCriteria();
+             this.historyExport.open({ from, to });
+        });
+
+        document.getElementById('btn-import-history').addEventListener('click', () => {
+            document.getElementById('history-file-upload').click();
+        });
+        document.getElementById('history-file-upload').addEventListener('change', (e) => this.importHistory(e));
+
+        // History Row Actions
+        this.historyListEl.addEventListener('change', (e) => {
+            if (e.target.dataset.historyPrize) this.dataManager.updateHistoryPrize(e.target.dataset.historyPrize, e.target.value);
+        });
+        this.historyListEl.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-verify], [data-certificate]');
+            if (!btn) return;
+            if (btn.dataset.verify) {
+                this.verifyDraw(btn.dataset.verify);
+            } else {
+                const entry = this.dataManager.getHistory().find(h => h.id === btn.dataset.certificate);
+                if (entry) this.historyExport.showCertificate(entry);
+            }
         });
         
         document.getElementById('btn-slideshow').addEventListener('click', () => {
@@ -177,102 +553,576 @@ class App {
         });
     }
     
+    /**
+     * Push restored settings into the settings panel and modules
+     */
+    applySettings() {
+        const settings = this.dataManager.getSettings();
+
+        // Mode & Remove Winner
+        const modeBtn = document.getElementById(`set-mode-${this.dataManager.mode}`);
+        document.querySelectorAll('.toggle-group .toggle-btn').forEach(b => b.classList.toggle('active', b === modeBtn));
+        document.getElementById('toggle-remove-winner').checked = this.dataManager.removeWinner;
+        document.getElementById('toggle-secure-seeds').checked = settings.secureSeeds;
+
+        // Theme
+        this.currentTheme = settings.theme;
+        document.getElementById('anim-theme').value = settings.theme;
+
+        // Batch
+        document.getElementById('batch-size').value = settings.batchSize;
+        document.getElementById('batch-reveal').value = settings.batchReveal;
+        document.getElementById('weight-display').value = settings.weightDisplay;
+        document.getElementById('odds-overlay').value = settings.oddsOverlay;
+        document.getElementById('elimination-per-round').value = settings.eliminationPerRound;
+        document.getElementById('display-mode').value = settings.displayMode;
+        document.getElementById('fairness-policy').value = settings.fairness.policy;
+        this.renderFairnessWindow();
+
+        // Spin Duration
+        document.getElementById('spin-duration').value = settings.spinDuration;
+        document.getElementById('duration-value').textContent = settings.spinDuration + 's';
+
+        // Idle Speed
+        // (null restores the built-in speed when switching events)
+        const idleSpeed = settings.idleSpeed !== null ? settings.idleSpeed : this.defaultIdleSpeed;
+        document.getElementById('idle-speed').value = idleSpeed;
+        document.getElementById('idle-speed-value').textContent = idleSpeed.toFixed(1);
+        Object.values(this.displays).forEach(d => d.engine.setIdleSpeed(idleSpeed));
+
+        // App Title
+        document.getElementById('app-title-input').value = settings.appTitle;
+        this.setAppTitle(settings.appTitle);
+    }
+
+    /**
+     * Stays up while saves are failing, so nobody assumes their changes are kept
+     */
+    renderSaveStatus(ok) {
+        document.getElementById('save-status').classList.toggle('hidden', ok);
+    }
+
+    setAppTitle(val) {
+        // document.querySelector('.navbar-brand').textContent = val || 'Premium Random Picker'; // REMOVED: Destroys logo
+        document.getElementById('app-title-display').textContent = val || 'Premium Random Picker';
+        document.title = val || 'Premium Random Picker';
+    }
+
     setMode(mode, btn) {
         document.querySelectorAll('.toggle-group .toggle-btn').forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
         this.dataManager.setMode(mode);
         // Refresh visuals immediately to reflect weights
         this.randomizeAndRender();
-        this.animationEngine.resetIdleSpeed(); // Ensure speed is normal
+        this.getEngine().resetIdleSpeed(); // Ensure speed is normal
+    }
+
+    undo() {
+        if (this.btnSpin.disabled) return; // Not mid-spin
+        const label = this.dataManager.undo();
+        if (label) this.refreshAfterUndo(`Undone: ${label}`);
+    }
+
+    redo() {
+        if (this.btnSpin.disabled) return;
+        const label = this.dataManager.redo();
+        if (label) this.refreshAfterUndo(`Redone: ${label}`);
+    }
+
+    refreshAfterUndo(message) {
+        const statusEl = document.getElementById('status-indicator');
+        statusEl.textContent = message;
+        statusEl.style.color = "var(--accent-cyan)";
+        
+        this.updateParticipantsUI();
+        this.updatePrizesUI();
+        this.renderHistory();
+        this.disableWinnerActions(); // The shown draw may have just been voided
+        this.startIdleSequence();
+    }
+
+    /**
+     * Turn off Redraw/Forfeit in an open winner modal
+     */
+    disableWinnerActions() {
+        this.modalWinner.querySelectorAll('#btn-winner-redraw, #btn-winner-forfeit, [data-redraw], [data-forfeit]').forEach(btn => {
+            btn.disabled = true;
+        });
+    }
+
+    /**
+     * Navbar event list: open events, then archived ones
+     */
+    renderEventSwitcher() {
+        const events = this.dataManager.getEvents();
+        const option = (e) => `<option value="${escapeAttr(e.id)}">${escapeAttr(e.name)}</option>`;
+        const archived = events.filter(e => e.archived);
+        this.eventSelect.innerHTML = events.filter(e => !e.archived).map(option).join('')
+            + (archived.length ? `<optgroup label="Archived">${archived.map(option).join('')}</optgroup>` : '');
+        this.eventSelect.value = this.dataManager.activeEventId;
+    }
+
+    switchEvent(id) {
+        const event = this.dataManager.getEvents().find(e => e.id === id);
+        // Not mid-spin, and archived events are restored first
+        if (this.btnSpin.disabled || (event.archived && !confirm(`"${event.name}" is archived. Restore it?`))) {
+            this.eventSelect.value = this.dataManager.activeEventId;
+            return;
+        }
+        if (event.archived) this.dataManager.setEventArchived(id, false);
+        this.dataManager.switchEvent(id);
+        this.refreshAfterEventSwitch();
+    }
+
+    /**
+     * Redraw everything from the newly active event
+     */
+    refreshAfterEventSwitch() {
+        this.renderEventSwitcher();
+        this.applySettings();
+        this.renderFilterBuilder();
+        this.teamGenerator.reset();
+        this.refreshAfterUndo(`Event: ${this.dataManager.getActiveEvent().name}`);
+    }
+
+    updateUndoUI() {
+        const undoLabel = this.dataManager.peekUndo();
+        const redoLabel = this.dataManager.peekRedo();
+        this.btnUndo.disabled = !undoLabel;
+        this.btnRedo.disabled = !redoLabel;
+        this.btnUndo.title = undoLabel ? `Undo: ${undoLabel}` : 'Nothing to undo';
+        this.btnRedo.title = redoLabel ? `Redo: ${redoLabel}` : 'Nothing to redo';
+    }
+
+    /**
+     * Download every event as one JSON backup
+     */
+    exportProject() {
+        const json = JSON.stringify(this.dataManager.exportProject(), null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `Randomizer_Project_${new Date().toISOString().slice(0,10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async importProject(event) {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow picking the same file again
+        if (!file) return;
+        if (this.btnSpin.disabled) return; // Not mid-spin
+
+        let project;
+        try {
+            project = await this.dataManager.readProjectFile(file);
+        } catch (error) {
+            const details = (error.issues || []).slice(0, 5).map(issue => `\n- ${issue.message}`).join('');
+            alert("Error: " + (error.message || error) + details);
+            return;
+        }
+
+        const count = project.events.length;
+        const summary = `${count} event${count === 1 ? '' : 's'}: ${project.events.map(e => e.name).join(', ')}`;
+        let mode;
+        if (confirm(`Add the ${summary} to your events?\n\nCancel to choose replacing instead.`)) {
+            mode = 'merge';
+        } else if (confirm(`Replace ALL current events with the ${summary}?\n\nThis cannot be undone.`)) {
+            mode = 'replace';
+        } else {
+            return;
+        }
+
+        this.dataManager.importProject(project, mode);
+        this.refreshAfterEventSwitch();
+        alert(mode === 'merge' ? `Project imported: ${count} event${count === 1 ? '' : 's'} added to the event list.` : "Project restored.");
+    }
+
+    async importHistory(event) {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow picking the same file again
+        if (!file) return;
+        if (this.btnSpin.disabled) return; // Not mid-spin
+
+        let result;
+        try {
+            result = await this.dataManager.readHistoryFile(file);
+            // Older exports wrote times in the browser's locale, e.g. "3/4/2025, 10:00:00 AM"
+            if (result.ambiguousTimes > 0 && !confirm(`${result.ambiguousTimes} time${result.ambiguousTimes === 1 ? ' is' : 's are'} written like "3/4/2025" (an older export). Read them month first (3 = March)?\n\nCancel to read them day first (3 = 3rd day).`)) {
+                result = await this.dataManager.readHistoryFile(file, { dateOrder: 'dmy' });
+            }
+        } catch (error) {
+            alert("Error: " + (error.message || error));
+            return;
+        }
+
+        const { entries, duplicates, unmatched } = result;
+        const notes = [
+            duplicates ? `${duplicates} already in the history (skipped).` : '',
+            unmatched.length ? `${unmatched.length} row${unmatched.length === 1 ? '' : 's'} could not be matched:` +
+                unmatched.slice(0, 10).map(u => `\n- Row ${u.row} (${u.name || u.uid}): ${u.reason}`).join('') +
+                (unmatched.length > 10 ? `\n- …and ${unmatched.length - 10} more` : '') : ''
+        ].filter(Boolean).join('\n\n');
+
+        if (entries.length === 0) {
+            alert(`Nothing to import.${notes ? `\n\n${notes}` : ''}`);
+            return;
+        }
+        if (!confirm(`Import ${entries.length} past draw${entries.length === 1 ? '' : 's'} into the history?${notes ? `\n\n${notes}` : ''}\n\nUndo history will be cleared.`)) {
+            return;
+        }
+
+        this.dataManager.importHistory(entries);
+        this.renderHistory();
+        this.updateParticipantsUI(); // Fairness odds may change
+        this.startIdleSequence();
     }
 
     async handleFileUpload(event) {
         const file = event.target.files[0];
         if(!file) return;
         try {
-            await this.dataManager.parseFile(file);
-            this.updateParticipantsUI();
-            this.startIdleSequence(); // Restart idle with new data
-            alert("File parsed successfully!");
+            // Preview & column mapping before anything is imported
+            await this.importWizard.open(file);
+        } catch (error) {
+            alert("Error: " + (error.message || error));
+        }
+        this.fileInput.value = "";
+    }
+    
+    async handlePrizeFileUpload(event) {
+        const file = event.target.files[0];
+        if(!file) return;
+        try {
+            await this.dataManager.parsePrizeFile(file);
+            this.updatePrizesUI();
+            alert("Prize list imported successfully!");
         } catch (error) {
-            alert("Error: " + error);
+            alert("Error: " + (error.message || error));
         }
+        event.target.value = "";
     }
     
     // UI Renders
+    renderFilterBuilder() {
+        const options = this.dataManager.getFilterOptions();
+        const filter = this.dataManager.getFilter();
+        const labels = { shift: 'Shift', supervisor: 'Supervisor', tag: 'Tag' };
+
+        this.filterBuilderEl.innerHTML = Object.keys(labels).map(field => `
+            <div class="filter-field">
+                <span class="filter-field-label">${labels[field]}</span>
+                <div class="filter-chips">
+                    ${options[field].length ? options[field].map(value => `
+                        <button class="filter-chip ${filter[field].includes(value) ? 'active' : ''}" 
+                                data-field="${field}" 
+                                data-value="${escapeAttr(value)}">${escapeAttr(value)}</button>
+                    `).join('') : '<span class="filter-empty">No values</span>'}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    toggleFilterValue(field, value) {
+        const filter = this.dataManager.getFilter();
+        const values = filter[field].includes(value)
+            ? filter[field].filter(v => v !== value)
+            : [...filter[field], value];
+        this.dataManager.setFilter({ ...filter, [field]: values });
+        this.renderFilterBuilder();
+        this.startIdleSequence();
+    }
+
+    /**
+     * Show the N input only for policies with a window, labelled draws or days
+     */
+    renderFairnessWindow() {
+        const { policy, draws, days } = this.dataManager.getSettings().fairness;
+        const windowed = ['cooldown-draws', 'cooldown-days', 'reduce'].includes(policy);
+        document.getElementById('fairness-window').classList.toggle('hidden', !windowed);
+        document.getElementById('fairness-value').value = policy === 'cooldown-draws' ? draws : days;
+        document.getElementById('fairness-unit').textContent = policy === 'cooldown-draws' ? 'draws' : 'days';
+    }
+
+    updateFilterSummary() {
+        const eligible = this.dataManager.getDrawPool().pool.length;
+        const excluded = this.dataManager.getExcludedCount();
+        const heldBack = this.dataManager.getEligibleParticipants().length - eligible;
+        const parts = [];
+        if (this.dataManager.isFilterActive()) parts.push(`Filter: ${this.formatFilter(this.dataManager.getFilter())}`);
+        if (excluded > 0) parts.push(`${excluded} excluded this session`);
+        if (heldBack > 0) parts.push(`${heldBack} held back by fairness policy`);
+        this.filterSummaryEl.textContent = parts.length ? `${parts.join(' · ')} · ${eligible} eligible` : '';
+        this.btnClearExclusions.classList.toggle('hidden', excluded === 0);
+    }
+
+    /**
+     * Human-readable filter, e.g. "Shift: Night · Tag: Team A, Team B"
+     */
+    formatFilter(filter) {
+        const labels = { shift: 'Shift', supervisor: 'Supervisor', tag: 'Tag' };
+        return Object.keys(labels)
+            .filter(field => filter[field] && filter[field].length)
+            .map(field => `${labels[field]}: ${filter[field].join(', ')}`)
+            .join(' · ');
+    }
+
+    updatePrizesUI() {
+        const prizes = this.dataManager.getPrizes();
+        const left = this.dataManager.getPrizesLeft();
+        const next = this.dataManager.getNextPrize();
+        this.prizeCountEl.textContent = left;
+        this.updateUndoUI();
+
+        // Picker: next prize preview
+        this.prizeInput.placeholder = next ? `Next: ${next.name} (or type to override)` : "Enter Prize (Optional)";
+        this.prizesLeftEl.textContent = prizes.length ? `🎁 ${left} prize${left === 1 ? '' : 's'} left` : '';
+
+        // Render Table
+        this.prizesTableBody.innerHTML = prizes.map((p, i) => `
+            <tr class="${p.remaining === 0 ? 'row-depleted' : ''}">
+                <td>
+                    <button class="btn-action" data-move="${p.id}" data-direction="-1" ${i === 0 ? 'disabled' : ''}>▲</button>
+                    <button class="btn-action" data-move="${p.id}" data-direction="1" ${i === prizes.length - 1 ? 'disabled' : ''}>▼</button>
+                </td>
+                <td>
+                    <div class="prize-name-cell">
+                        ${p.image ? `<img src="${escapeAttr(p.image)}" alt="" class="prize-thumb">` : '<span>🎁</span>'}
+                        <span>${escapeAttr(p.name)}</span>
+                    </div>
+                </td>
+                <td>
+                    <input type="number" 
+                           class="input-weight" 
+                           value="${p.quantity}" 
+                           min="${p.quantity - p.remaining}" 
+                           data-quantity="${p.id}"
+                    >
+                </td>
+                <td>${p.remaining}</td>
+                <td>
+                    <button class="btn-action text-danger" data-remove-prize="${p.id}">&times;</button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Participants matching the table search, in the table's sort order
+     */
+    getVisibleParticipants() {
+        let list = this.dataManager.getParticipants();
+        if (this.participantQuery) {
+            list = list.filter(p => TABLE_TEXT_FIELDS.some(f => String(p[f] || '').toLowerCase().includes(this.participantQuery)));
+        }
+
+        const { key, dir } = this.participantSort;
+        if (!key) return list;
+        return [...list].sort((a, b) => {
+            if (key === 'weight') return ((a.weight || 0) - (b.weight || 0)) * dir;
+            if (key === 'chance') return ((this.participantOdds.get(a.id) || 0) - (this.participantOdds.get(b.id) || 0)) * dir;
+            return String(a[key] || '').localeCompare(String(b[key] || ''), undefined, { numeric: true, sensitivity: 'base' }) * dir;
+        });
+    }
+
     updateParticipantsUI() {
         const list = this.dataManager.getParticipants();
         this.participantCountEl.textContent = list.length;
+        this.updateUndoUI();
+
+        // Forget selections for rows that no longer exist (removed, undone)
+        const ids = new Set(list.map(p => p.id));
+        this.selectedParticipantIds.forEach(id => { if (!ids.has(id)) this.selectedParticipantIds.delete(id); });
+
+        this.participantsTableHead.querySelectorAll('th[data-sort]').forEach(th => {
+            const sorted = th.dataset.sort === this.participantSort.key;
+            th.classList.toggle('sorted-asc', sorted && this.participantSort.dir === 1);
+            th.classList.toggle('sorted-desc', sorted && this.participantSort.dir === -1);
+        });
         
-        // Render Table
-        this.participantsTableBody.innerHTML = list.map(p => `
+        // Render Table (only the rows in view)
+        this.participantOdds = this.dataManager.getDrawOdds();
+        this.visibleParticipants = this.getVisibleParticipants();
+        this.participantTable.setItems(this.visibleParticipants);
+        this.updateBulkUI();
+    }
+
+    renderParticipantRow(p) {
+        return `
             <tr>
-                <td>${p.name}</td>
-                <td>${p.uid || '-'}</td>
-                <td>${p.supervisor || '-'}</td>
-                <td>${p.shift || '-'}</td>
-                <td>${p.tag || '-'}</td>
+                <td>
+                    <input type="checkbox" class="participant-select" data-id="${p.id}" ${this.selectedParticipantIds.has(p.id) ? 'checked' : ''}>
+                </td>
+                ${TABLE_TEXT_FIELDS.map(field => `
+                <td>
+                    <input type="text" 
+                           class="input-cell" 
+                           value="${escapeAttr(p[field])}" 
+                           placeholder="-" 
+                           data-id="${p.id}" 
+                           data-field="${field}"
+                    >
+                </td>`).join('')}
                 <td>
                     <input type="number" 
-                           class="input-weight" 
+                           class="input-weight input-cell" 
                            value="${p.weight}" 
-                           min="0" 
-                           onchange="window.updateWeight('${p.id}', this.value)"
+                           min="1" 
+                           data-id="${p.id}" 
+                           data-field="weight"
                     >
                 </td>
+                <td class="chance-cell">${this.participantOdds.has(p.id) ? formatOdds(this.participantOdds.get(p.id)) : '—'}</td>
                 <td>
-                    <button class="btn-action text-danger" onclick="window.removeParticipant('${p.id}')">&times;</button>
+                    <button class="btn-action text-danger" data-remove="${p.id}" title="Remove">&times;</button>
                 </td>
             </tr>
-        `).join('');
-        
-        // Expose global helpers
-        window.updateWeight = (id, val) => this.dataManager.updateWeight(id, val);
-        window.removeParticipant = (id) => {
-            this.dataManager.removeParticipant(id);
-            this.updateParticipantsUI();
-            this.startIdleSequence();
+        `;
+    }
+
+    updateBulkUI() {
+        const count = this.selectedParticipantIds.size;
+        const visible = this.visibleParticipants;
+        this.participantBulkEl.classList.toggle('hidden', count === 0);
+        document.getElementById('participant-selected-count').textContent = `${count} selected`;
+        this.participantSelectAll.checked = visible.length > 0 && visible.every(p => this.selectedParticipantIds.has(p.id));
+    }
+
+    addParticipant(form) {
+        const values = Object.fromEntries(new FormData(form));
+        if (!values.name.trim()) return;
+
+        const existing = this.dataManager.findExistingParticipant(values);
+        if (existing && !confirm(`"${values.name.trim()}" looks like ${existing.name}${existing.uid ? ` (${existing.uid})` : ''}, who is already on the list. Add anyway?`)) {
+            return;
         }
-        
-        // History Edit Global
-        window.updateHistoryPrize = (index, val) => {
-            this.dataManager.updateHistoryPrize(index, val);
+
+        try {
+            this.dataManager.addParticipant(values);
+        } catch (error) {
+            alert("Error: " + error.message);
+            return;
+        }
+        form.reset();
+        form.elements.name.focus();
+        this.updateParticipantsUI();
+        this.startIdleSequence();
+    }
+
+    editParticipant(id, field, value) {
+        try {
+            this.dataManager.updateParticipant(id, { [field]: value });
+        } catch (error) {
+            alert("Error: " + error.message);
+            this.updateParticipantsUI(); // Put the saved value back
+            return;
+        }
+
+        // Re-render only when the row may move, so tabbing between cells keeps focus
+        if (field === this.participantSort.key) this.updateParticipantsUI();
+        else this.updateUndoUI();
+        if (field === 'name') this.startIdleSequence();
+    }
+
+    bulkUpdateParticipants(patch) {
+        const ids = [...this.selectedParticipantIds];
+        if (!ids.length) return;
+        try {
+            this.dataManager.updateParticipants(ids, patch);
+        } catch (error) {
+            alert("Error: " + error.message);
+            return;
+        }
+        this.updateParticipantsUI();
+    }
+
+    async verifyDraw(id) {
+        const entry = this.dataManager.getHistory().find(h => h.id === id);
+        if (!entry) return;
+        try {
+            const result = await PickerLogic.verifyDraw({ ...entry, pool: this.dataManager.getAuditPool(entry.poolHash) });
+            if (result.ok) {
+                alert(`Verified: seed ${entry.seed} replays to ${entry.winner.name} (${entry.mode} mode).`);
+            } else if (!result.hashOk) {
+                alert("Verification FAILED: the recorded participant pool does not match its hash.");
+            } else {
+                alert(`Verification FAILED: seed ${entry.seed} replays to a different participant (${result.replayedId}).`);
+            }
+        } catch (error) {
+            alert("Error: " + error.message);
         }
     }
     
     renderHistory() {
-        const log = this.dataManager.getHistory();
-        this.historyListEl.innerHTML = log.map((en, index) => `
-            <tr>
-                <td style="font-size: 0.8rem; color: #94a3b8;">${en.timestamp}</td>
+        this.historyView.renderFilterOptions();
+        const entries = this.historyView.getEntries();
+        this.historyTable.setItems(entries);
+        this.historyView.renderStats(entries);
+    }
+
+    renderHistoryRow(en) {
+        return `
+            <tr class="${en.voided || en.forfeited ? 'row-voided' : ''}">
+                <td style="font-size: 0.8rem; color: #94a3b8;">
+                    ${escapeAttr(en.timestamp)}
+                    ${en.seed ? `
+                    <div class="audit-info">
+                        <span title="${en.poolHash}">Seed ${en.seed}</span>
+                        <button class="btn-micro" data-verify="${en.id}">Verify</button>
+                    </div>` : ''}
+                </td>
                 <td>
                     <div style="display: flex; flex-direction: column;">
-                        <span style="font-weight: 700; color: white;">${en.winner.name}</span>
+                        <span style="font-weight: 700; color: white;">
+                            ${escapeAttr(en.winner.name)}
+                            ${en.voided || en.forfeited ? '' : `<button class="btn-micro" title="Certificate" data-certificate="${en.id}">🏅</button>`}
+                        </span>
+                        ${en.voided ? '<span class="detail-pill voided-pill">Voided</span>' : ''}
+                        ${en.forfeited ? `<span class="detail-pill voided-pill">Forfeited: ${escapeAttr(en.forfeited.reason)}</span>` : ''}
                         <div style="font-size: 0.75rem; color: #cbd5e1; display: flex; flex-wrap: wrap; gap: 6px;">
-                            ${en.winner.uid ? `<span>ID: ${en.winner.uid}</span>` : ''}
-                            ${en.winner.shift ? `<span>• ${en.winner.shift}</span>` : ''}
-                            ${en.winner.supervisor ? `<span>• Sup: ${en.winner.supervisor}</span>` : ''}
+                            ${en.winner.uid ? `<span>ID: ${escapeAttr(en.winner.uid)}</span>` : ''}
+                            ${en.winner.shift ? `<span>• ${escapeAttr(en.winner.shift)}</span>` : ''}
+                            ${en.winner.supervisor ? `<span>• Sup: ${escapeAttr(en.winner.supervisor)}</span>` : ''}
                         </div>
+                        ${en.batch ? `<span class="detail-pill batch-pill">Batch ${en.batch.index + 1}/${en.batch.size}</span>` : ''}
+                        ${en.filter ? `<span class="detail-pill batch-pill">Filter: ${escapeAttr(this.formatFilter(en.filter))}</span>` : ''}
+                        ${en.imported ? '<span class="detail-pill batch-pill">Imported</span>' : ''}
                     </div>
                 </td>
                 <td>
                     <input type="text" 
                         class="input-prize-edit"
-                        value="${en.prize}" 
-                        onchange="window.updateHistoryPrize(${index}, this.value)"
+                        value="${escapeAttr(en.prize)}" 
+                        data-history-prize="${en.id}"
                         placeholder="Add Prize"
                     >
                 </td>
             </tr>
-        `).join('');
+        `;
     }
 
     // Animation Logic
     
     randomizeAndRender() {
-        const participants = this.dataManager.getParticipants();
+        this.updateFilterSummary();
+        
+        // Everyone who can win the next draw, after filters and the fairness policy
+        const { pool: participants, mode: drawMode } = this.dataManager.getDrawPool();
+        // Placeholders always show on the track
+        this.activeDisplay = participants.length > 0 ? this.dataManager.getSettings().displayMode : 'track';
+        Object.entries(this.displays).forEach(([key, { engine, el }]) => {
+            el.classList.toggle('hidden', key !== this.activeDisplay);
+            this.pickerWindow.classList.toggle(`${key}-mode`, key === this.activeDisplay);
+            engine.stopIdle();
+        });
+
         if (participants.length === 0) {
-            this.track.innerHTML = '<div class="picker-card">Add Participants</div>';
+            this.animationEngine.setRenderer(null);
+            this.track.innerHTML = this.dataManager.getParticipants().length === 0
+                ? '<div class="picker-card">Add Participants</div>'
+                : this.dataManager.getEligibleParticipants().length === 0
+                    ? '<div class="picker-card">No Eligible Participants</div>'
+                    : '<div class="picker-card">Everyone Is on Cooldown</div>';
             this.animationEngine.stopIdle();
             return;
         }
@@ -280,45 +1130,76 @@ class App {
         let visuals = [];
         
         // VISUAL WEIGHTING LOGIC
-        // If in Weighted Mode, we duplicate cards to visually represent their higher chance.
-        // This makes the "Seamless Carousel" longer but fairer to the eye.
-        if (this.dataManager.mode === 'weighted') {
+        // Weighted Mode shows odds on each card, or (legacy) repeats a card once per weight point.
+        // Only references are repeated; the track draws a fixed pool of cards from this list.
+        // A fairness policy that reduces odds makes any draw weighted.
+        const weighted = drawMode === 'weighted';
+        const overlay = this.dataManager.getSettings().oddsOverlay;
+        const showOdds = overlay === 'on' || (overlay === 'auto' && weighted);
+        this.trackOdds = showOdds ? PickerLogic.getOdds(participants, drawMode) : null;
+        this.trackMaxOdds = showOdds ? [...this.trackOdds.values()].reduce((max, c) => Math.max(max, c), 0) : 0;
+
+        if (weighted && this.dataManager.getSettings().weightDisplay === 'duplicate') {
             participants.forEach(p => {
-                const count = Math.max(1, p.weight || 1);
+                const count = Math.max(1, Math.round(p.weight || 1));
                 for(let i=0; i<count; i++) {
                     visuals.push(p);
                 }
             });
         } else {
-            // Random Mode: Everyone once
+            // Everyone once
             visuals = [...participants];
         }
 
+        // Other displays draw everyone once
+        if (this.activeDisplay !== 'track') {
+            this.animationEngine.setRenderer(null);
+            const engine = this.getEngine();
+            if (this.activeDisplay === 'wheel') {
+                // One segment each, sized by weight in weighted mode
+                engine.setSegments(PickerLogic.shuffle(participants), weighted ? (p) => p.weight || 1 : () => 1);
+            } else {
+                engine.setItems(PickerLogic.shuffle(participants));
+            }
+            engine.isSpinning = false;
+            engine.startIdle();
+            return;
+        }
+
         // Shuffle the visual list
         // We shuffle the display list so high-weight duplicates are scattered
-        visuals = PickerLogic.shuffle(visuals);
-
-        // BUFFERING
-        // Add buffer for seamless loop (first 20 items repeated at end)
-        const bufferCount = 20; 
-        const renderList = [...visuals];
-        for(let i=0; i<bufferCount; i++) {
-            renderList.push(visuals[i % visuals.length]);
-        }
-        
-        // RENDER
-        this.renderCardsToTrack(renderList, true);
+        this.trackVisuals = PickerLogic.shuffle(visuals);
+        this.trackOverrides.clear();
+        this.trackWinnerIndex = null;
         
         // ENGINE UPDATE
-        // Important: Tell engine the UNIQUE length of our visual cycle (includes duplicates but not buffer)
-        this.animationEngine.setItemCount(visuals.length);
+        // Important: Tell engine the UNIQUE length of our visual cycle (includes duplicates)
+        this.animationEngine.setItemCount(this.trackVisuals.length);
         
+        this.animationEngine.stopIdle();
         this.animationEngine.resetPosition();
+        this.animationEngine.setRenderer((el, index) => this.renderTrackCard(el, index));
         this.animationEngine.isSpinning = false;
         this.animationEngine.isIdle = false;
         this.animationEngine.startIdle();
     }
 
+    /**
+     * Fill a recycled track card: spin landings first, otherwise the idle cycle
+     */
+    renderTrackCard(el, index) {
+        const len = this.trackVisuals.length;
+        const p = this.trackOverrides.get(index) || this.trackVisuals[((index % len) + len) % len];
+        this.fillCardElement(el, p, index === this.trackWinnerIndex);
+    }
+
+    /**
+     * Engine for the active spin display
+     */
+    getEngine() {
+        return this.displays[this.activeDisplay].engine;
+    }
+
     startIdleSequence() {
         // Just delegate to the new randomizer logic, which handles rendering & engine
         this.randomizeAndRender();
@@ -330,9 +1211,13 @@ class App {
          return;
     }
     
-    spin() {
-        const participants = this.dataManager.getParticipants();
-        if (participants.length === 0) { alert("Add participants!"); return; }
+    /**
+     * @param {Number} count - Winners to draw, defaults to the batch size setting
+     */
+    spin(count = this.dataManager.getSettings().batchSize) {
+        if (this.dataManager.getParticipants().length === 0) { alert("Add participants!"); return; }
+        if (this.dataManager.getEligibleParticipants().length === 0) { alert("No participants match the active filter!"); return; }
+        if (this.dataManager.getDrawPool().pool.length === 0) { alert("Everyone eligible is on cooldown under the fairness policy!"); return; }
         
         this.btnSpin.disabled = true;
         
@@ -342,90 +1227,283 @@ class App {
         statusEl.style.color = "#fcd34d"; // Gold
         
         // Visual Shuffle Effect (Speed up)
-        this.animationEngine.visualShuffle(40); // Fast scroll
+        this.getEngine().visualShuffle(40); // Fast scroll
         
         // Wait 5 seconds
-        setTimeout(() => {
+        setTimeout(async () => {
             // --- PHASE 2: PICK ---
             statusEl.textContent = "Picking Winner...";
             statusEl.style.color = "#ec4899"; // Pink
             
-            // True Randomization of Data
-            this.dataManager.shuffleParticipants();
+            // Seeded draw so the result can be replayed from history
+            const seed = PickerLogic.generateSeed(this.dataManager.getSettings().secureSeeds);
+            const rng = PickerLogic.createRng(seed);
+            const { pool: eligible, mode: drawMode } = this.dataManager.getDrawPool();
+            const fairness = this.dataManager.getSettings().fairness;
+            const pool = PickerLogic.snapshotPool(eligible);
+            this.currentAudit = {
+                seed,
+                poolHash: await PickerLogic.hashPool(pool),
+                mode: this.dataManager.mode,
+                pool,
+                filter: this.dataManager.isFilterActive() ? this.dataManager.getFilter() : null,
+                fairness: fairness.policy !== 'none' ? { ...fairness } : null
+            };
+            if (drawMode !== this.dataManager.mode) this.currentAudit.drawMode = drawMode;
+            
+            // True Randomization of the eligible pool
+            const participants = PickerLogic.shuffle(eligible, rng);
+            
+            // Batch: N distinct winners from the same seeded sequence
+            // Elimination crowns a single survivor; its knock-out order comes from the same seed
+            const elimination = this.activeDisplay === 'elimination';
+            const drawCount = elimination ? 1 : Math.min(count, participants.length);
+            // Reduced-odds pools hold copies; log and remove the real participants
+            const byId = new Map(this.dataManager.getParticipants().map(p => [p.id, p]));
+            const winners = PickerLogic.selectWinners(participants, drawMode, drawCount, rng).map(w => byId.get(w.id));
+            this.currentBatch = {
+                id: Math.random().toString(36).substr(2, 9),
+                winners,
+                pool: participants,
+                drawMode,
+                index: 0,
+                rounds: elimination
+                    ? PickerLogic.planElimination(participants, winners[0], this.dataManager.getSettings().eliminationPerRound, rng)
+                    : null
+            };
             
-            this.executeSpin(this.dataManager.getParticipants());
+            this.executeSpin(participants, winners[0]);
         }, 5000);
     }
 
-    executeSpin(participants) {
+    executeSpin(participants, winner, duration = this.getSpinDuration()) {
         this.audioManager.playSpinStart();
         
-        // 1. Select Winner
-        // 1. Select Winner
-        const winner = PickerLogic.selectWinner(participants, this.dataManager.mode);
+        // 1. Winner (pre-selected by spin())
         this.currentWinner = winner;
         
         // 2. Theme
         const theme = this.currentTheme;
 
+        // Wheel: spin straight to the winner's segment
+        if (this.activeDisplay === 'wheel') {
+            this.wheelEngine.resetIdleSpeed();
+            if (!this.wheelEngine.hasItem(winner)) {
+                const weighted = this.currentBatch.drawMode === 'weighted';
+                this.wheelEngine.setSegments(participants, weighted ? (p) => p.weight || 1 : () => 1);
+            }
+            this.wheelEngine.spinTo(winner, duration, theme);
+            return;
+        }
+
+        // Elimination: knock out the pre-computed rounds around the survivor
+        if (this.activeDisplay === 'elimination') {
+            this.eliminationEngine.resetIdleSpeed();
+            if (!this.eliminationEngine.hasItems(participants)) this.eliminationEngine.setItems(participants);
+            this.eliminationEngine.eliminate(winner, this.currentBatch.rounds, duration, theme);
+            return;
+        }
+
+        // Slot reels and card flips build their landing from the winner directly
+        if (this.activeDisplay === 'slot' || this.activeDisplay === 'flip') {
+            const engine = this.getEngine();
+            engine.resetIdleSpeed();
+            engine.spinTo(winner, duration, theme, participants);
+            return;
+        }
+
         // 3. Prepare Track
         this.animationEngine.resetIdleSpeed(); // Stop fast shuffle, seamless handoff
         
-        const currentCardCount = this.track.children.length;
-        const duration = parseInt(document.getElementById('spin-duration').value) * 1000;
+        // Land past everything already drawn so no visible card changes
+        const start = this.animationEngine.getRenderedRange().last + 1;
         const landingDistance = Math.max(60, Math.floor(duration / 100)); 
+        // Filler cards follow the real odds, so heavier weights pass by more often
+        const randomCard = this.currentBatch.drawMode === 'weighted'
+            ? PickerLogic.createWeightedSampler(participants)
+            : () => participants[Math.floor(Math.random() * participants.length)];
         
-        const fragment = document.createDocumentFragment();
         for(let i=0; i<landingDistance; i++) {
-             const r = participants[Math.floor(Math.random() * participants.length)];
-             fragment.appendChild(this.createCardElement(r));
+             this.trackOverrides.set(start + i, randomCard());
         }
         
-        const winEl = this.createCardElement(winner, true); 
-        fragment.appendChild(winEl);
+        this.trackWinnerIndex = start + landingDistance;
+        this.trackOverrides.set(this.trackWinnerIndex, winner);
         
-        for(let i=0; i<10; i++) {
-             const r = participants[Math.floor(Math.random() * participants.length)];
-             fragment.appendChild(this.createCardElement(r));
+        for(let i=1; i<=10; i++) {
+             this.trackOverrides.set(this.trackWinnerIndex + i, randomCard());
         }
         
-        this.track.appendChild(fragment);
-        
         // 4. Spin
-        this.animationEngine.spinFromIdle(currentCardCount + landingDistance, duration, theme);
+        this.animationEngine.spinFromIdle(this.trackWinnerIndex, duration, theme);
+    }
+
+    getSpinDuration() {
+        return parseInt(document.getElementById('spin-duration').value) * 1000;
     }
     
     onSpinFinish() {
         this.audioManager.playWin();
         const statusEl = document.getElementById('status-indicator');
-        statusEl.textContent = "Winner Picked!";
-        statusEl.style.color = "#22c55e"; // Green
-        
-        const prize = this.prizeInput.value.trim();
-        this.dataManager.logWin(this.currentWinner, prize);
+        const batch = this.currentBatch;
         
-        // Weight Mode: Decrement and auto-remove at zero
-        if(this.dataManager.mode === 'weighted') {
-            const removed = this.dataManager.decrementWeight(this.currentWinner.id);
-            if(removed) {
-                console.log(`${this.currentWinner.name} weight reached 0, removed from pool.`);
-            }
-        } else if(this.dataManager.removeWinner) {
-            // Random Mode: Use toggle
-            this.dataManager.removeParticipant(this.currentWinner.id);
+        // Batch (one by one): land on the next winner with a short follow-up spin
+        if (batch.index < batch.winners.length - 1 && this.dataManager.getSettings().batchReveal === 'sequential') {
+            batch.index++;
+            statusEl.textContent = `Picking Winner ${batch.index + 1} of ${batch.winners.length}...`;
+            setTimeout(() => {
+                this.executeSpin(batch.pool, batch.winners[batch.index], Math.min(this.getSpinDuration(), 3000));
+            }, 1500);
+            return;
         }
         
+        statusEl.textContent = batch.winners.length > 1 ? `${batch.winners.length} Winners Picked!` : "Winner Picked!";
+        statusEl.style.color = "#22c55e"; // Green
+        
+        // Typed prize overrides the inventory; otherwise each winner takes the next prize in stock
+        const manualPrize = this.prizeInput.value.trim();
+        // One undoable step: undo restores weights/pool/stock and voids the history entries
+        const drawLabel = `Draw: ${batch.winners.map(w => w.name).join(', ')}`;
+        const awards = this.dataManager.runCommand(drawLabel, () => batch.winners.map((winner, index) => {
+            const stock = manualPrize ? null : this.dataManager.takeNextPrize();
+            const award = { name: manualPrize || (stock ? stock.name : ""), image: stock ? stock.image : "" };
+            const audit = batch.winners.length > 1
+                ? { ...this.currentAudit, batch: { id: batch.id, index, size: batch.winners.length } }
+                : this.currentAudit;
+            award.entry = this.dataManager.logWin(winner, award.name, audit, stock ? stock.id : null);
+            this.applyWinnerRemoval(winner);
+            return award;
+        }));
+        
         setTimeout(() => {
-            this.showWinnerModal(prize);
+            if (batch.winners.length > 1) {
+                this.showBatchWinnerModal(batch.winners, awards);
+            } else {
+                this.showWinnerModal(awards[0].name, awards[0].image, awards[0].entry);
+            }
             this.btnSpin.disabled = false;
             this.prizeInput.value = "";
             statusEl.textContent = "Ready to Pick";
             statusEl.style.color = "var(--accent-cyan)";
             this.updateParticipantsUI(); // Refresh if weight changed
+            this.updatePrizesUI();
+            this.updateUndoUI();
         }, 2000);
     }
+
+    /**
+     * Forfeit the shown win: mark the entry, put the prize back and optionally spin again
+     * @param {Object} entry - History entry
+     * @param {boolean} redraw - Start a new single-winner spin right away
+     * @param {HTMLElement} card - Batch card of this winner; a plain forfeit marks it and keeps the modal open
+     */
+    forfeitWinner(entry, redraw, card = null) {
+        const reason = prompt(`Reason ${entry.winner.name} forfeits:`, "Not present");
+        if (reason === null) return; // Cancelled
+
+        const exclude = document.getElementById('toggle-winner-exclude').checked;
+        if (!this.dataManager.forfeitWin(entry.id, reason.trim(), exclude)) {
+            alert("This draw was undone or already forfeited.");
+            this.disableWinnerActions();
+            return;
+        }
+
+        // Free-text prizes carry over to the next spin (inventory prizes are back in stock)
+        if (!entry.prizeId) this.prizeInput.value = entry.prize;
+
+        this.updateParticipantsUI();
+        this.updatePrizesUI();
+
+        if (card && !redraw) {
+            card.classList.add('forfeited');
+            card.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+            card.querySelector('.batch-winner-status').textContent = `Forfeited: ${reason.trim() || 'Forfeited'}`;
+            return;
+        }
+
+        this.modalWinner.classList.add('hidden');
+
+        if (redraw && this.dataManager.getDrawPool().pool.length > 0) {
+            this.randomizeAndRender();
+            this.spin(1);
+        } else {
+            this.startIdleSequence();
+        }
+    }
+
+    applyWinnerRemoval(winner) {
+        // Weight Mode: Decrement and auto-remove at zero
+        if(this.dataManager.mode === 'weighted') {
+            this.dataManager.decrementWeight(winner.id);
+        } else if(this.dataManager.removeWinner) {
+            // Random Mode: Use toggle
+            this.dataManager.removeParticipant(winner.id);
+        }
+    }
+
+    showBatchWinnerModal(winners, awards) {
+        this.modalWinner.innerHTML = `
+            <div class="modal-content winner-modal-content-reset batch-winner-content">
+                <button class="close-icon-winner" id="btn-close-winner-dynamic">&times;</button>
+                
+                <div class="winner-celebration-banner">🏆 ${winners.length} WINNERS SELECTED! 🏆</div>
+
+                <div class="batch-winner-grid">
+                    ${winners.map((p, i) => `
+                        <div class="batch-winner-card" style="animation-delay: ${i * 0.15}s">
+                            <div class="batch-winner-rank">#${i + 1}</div>
+                            <div class="card-avatar" style="background: ${avatarColor(p.name)}">${AVATAR_ICON}</div>
+                            <div class="card-name winner-text-gold">${p.name}</div>
+                            <div class="card-role">${p.tag || 'Winner'}</div>
+                            <div class="card-details">
+                                ${p.uid ? `<span class="detail-pill">${p.uid}</span>` : ''}
+                                ${p.shift ? `<span class="detail-pill">${p.shift}</span>` : ''}
+                            </div>
+                            ${awards[i].name ? `<div class="batch-winner-prize">🎁 ${awards[i].name}</div>` : ''}
+                            ${awards[i].entry ? `
+                            <div class="batch-winner-actions">
+                                <button class="btn-micro" data-redraw="${i}" title="Forfeit and draw a replacement">↻ Redraw</button>
+                                <button class="btn-micro text-danger" data-forfeit="${i}">✕ Forfeit</button>
+                            </div>
+                            <div class="batch-winner-status"></div>` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+
+                ${awards.some(award => award.entry) ? `
+                <div class="winner-actions">
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="toggle-winner-exclude" checked>
+                        Exclude forfeited winners from this session
+                    </label>
+                </div>
+                ` : ''}
+                
+                <div class="confetti-rain" id="dynamic-confetti"></div>
+            </div>
+        `;
+        
+        this.modalWinner.classList.remove('hidden');
+        
+        document.getElementById('btn-close-winner-dynamic').addEventListener('click', () => {
+             this.modalWinner.classList.add('hidden');
+             this.startIdleSequence();
+        });
+        this.modalWinner.querySelector('.batch-winner-grid').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-redraw], [data-forfeit]');
+            if (!btn) return;
+            const redraw = btn.dataset.redraw !== undefined;
+            const award = awards[redraw ? btn.dataset.redraw : btn.dataset.forfeit];
+            this.forfeitWinner(award.entry, redraw, btn.closest('.batch-winner-card'));
+        });
+    }
     
-    showWinnerModal(prize) {
+    /**
+     * @param {string} prize
+     * @param {string} prizeImage
+     * @param {Object} entry - History entry for this win; enables Redraw / Forfeit
+     */
+    showWinnerModal(prize, prizeImage = "", entry = null) {
         // Redesigned Winner Modal (Card-in-Card)
         const p = this.currentWinner;
         
@@ -461,7 +1539,9 @@ class App {
                         <!-- Prize Card (Featured) -->
                         <div class="info-card prize-card-gold">
                             <div class="info-card-icon">
-                                <span style="font-size: 1.5rem;">🎁</span>
+                                ${prizeImage
+                                    ? `<img src="${prizeImage}" alt="" class="prize-thumb">`
+                                    : `<span style="font-size: 1.5rem;">🎁</span>`}
                             </div>
                             <div class="info-card-content">
                                 <span class="info-label">Current Prize</span>
@@ -505,6 +1585,17 @@ class App {
                      </div>
                 </div>
                 
+                ${entry ? `
+                <div class="winner-actions">
+                    <button class="modal-btn winner-action-btn" id="btn-winner-redraw">↻ Redraw</button>
+                    <button class="modal-btn winner-action-btn danger" id="btn-winner-forfeit">✕ Forfeit</button>
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="toggle-winner-exclude" checked>
+                        Exclude from this session
+                    </label>
+                </div>
+                ` : ''}
+                
                 <div class="confetti-rain" id="dynamic-confetti"></div>
             </div>
         `;
@@ -517,6 +1608,12 @@ class App {
              this.startIdleSequence();
         });
         
+        // Winner not present
+        if (entry) {
+            document.getElementById('btn-winner-redraw').addEventListener('click', () => this.forfeitWinner(entry, true));
+            document.getElementById('btn-winner-forfeit').addEventListener('click', () => this.forfeitWinner(entry, false));
+        }
+        
         // Confetti
         const container = document.getElementById('dynamic-confetti');
         const colors = ['#fcd34d', '#fbbf24', '#f59e0b', '#ffffff']; // Gold theme
@@ -530,13 +1627,15 @@ class App {
         }
     }
 
-    createCardElement(p, isWinner = false) {
+    /**
+     * Draw a participant into a (recycled) track card
+     */
+    fillCardElement(div, p, isWinner = false) {
         // Generate a deterministic color
         const hash = p.name.split('').reduce((acc, char) => char.charCodeAt(0) + ((acc << 5) - acc), 0);
         const hue = Math.abs(hash % 360);
         const color = `hsl(${hue}, 70%, 65%)`; // Pastel/Vibrant
         
-        const div = document.createElement('div');
         div.className = `picker-card ${isWinner ? 'winner-card-marker' : ''}`;
         
         div.innerHTML = `
@@ -554,16 +1653,27 @@ class App {
                     ${p.shift ? `<span class="detail-pill">${p.shift}</span>` : ''}
                 </div>
             </div>
-            ${this.dataManager.mode === 'weighted' && p.weight > 1 ? `<div class="card-weight">x${p.weight}</div>` : ''}
+            ${this.renderCardOdds(p)}
         `;
-        return div;
     }
-    
-    renderCardsToTrack(list, clear = false) {
-        if(clear) this.track.innerHTML = '';
-        const frag = document.createDocumentFragment();
-        list.forEach(p => frag.appendChild(this.createCardElement(p)));
-        this.track.appendChild(frag);
+
+    /**
+     * Chance badge (see the oddsOverlay setting): odds and a bar relative to the
+     * best chance, or the raw weight when weighted cards are repeated per weight point
+     */
+    renderCardOdds(p) {
+        if (!this.trackOdds) return '';
+        const chance = this.trackOdds.get(p.id);
+        const repeated = this.dataManager.mode === 'weighted' && this.dataManager.getSettings().weightDisplay === 'duplicate';
+        if (repeated || chance === undefined) {
+            return p.weight > 1 ? `<div class="card-weight">x${p.weight}</div>` : '';
+        }
+        return `
+            <div class="card-weight">${formatOdds(chance)}</div>
+            <div class="card-odds" title="Chance of winning the next draw">
+                <div class="card-odds-fill" style="width: ${(chance / this.trackMaxOdds) * 100}%"></div>
+            </div>
+        `;
     }
     
     downloadTemplate() {
@@ -575,26 +1685,32 @@ class App {
         XLSX.writeFile(wb, "name_picker_template.xlsx");
     }
     
-    downloadHistory() {
-        const history = this.dataManager.getHistory().map(h => ({
-            Time: h.timestamp,
-            Winner: h.winner.name || '',
-            ID: h.winner.uid || '',
-            Supervisor: h.winner.supervisor || '',
-            Shift: h.winner.shift || '',
-            Tag: h.winner.tag || '',
-            Prize: h.prize || ''
+    downloadPrizeTemplate() {
+        const ws = XLSX.utils.json_to_sheet([
+            { Prize: "Gift Card", Quantity: 10, Image: "" }
+        ]);
+        const wb = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(wb, ws, "Prizes");
+        XLSX.writeFile(wb, "prize_list_template.xlsx");
+    }
+
+    downloadPrizes() {
+        const prizes = this.dataManager.getPrizes().map(p => ({
+            Prize: p.name,
+            Quantity: p.quantity,
+            Remaining: p.remaining,
+            Image: p.image
         }));
-        
-        if(history.length === 0) {
-            alert("No history to export!");
+
+        if(prizes.length === 0) {
+            alert("No prizes to export!");
             return;
         }
 
-        const ws = XLSX.utils.json_to_sheet(history);
+        const ws = XLSX.utils.json_to_sheet(prizes);
         const wb = XLSX.utils.book_new();
-        XLSX.utils.book_append_sheet(wb, ws, "Spin_History");
-        XLSX.writeFile(wb, `Spin_History_${new Date().toISOString().slice(0,10)}.xlsx`);
+        XLSX.utils.book_append_sheet(wb, ws, "Prizes");
+        XLSX.writeFile(wb, `Prize_List_${new Date().toISOString().slice(0,10)}.xlsx`);
     }
 
     startSlideshow() {
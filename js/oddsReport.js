@@ -0,0 +1,145 @@
+import { escapeAttr } from './html.js';
+
+// Bars shown in the summary chart; the rest are folded into one line
+const CHART_LIMIT = 20;
+
+// Fairness policy names, as in the settings panel
+const FAIRNESS_LABELS = {
+    'none': 'None',
+    'cooldown-draws': 'Skip winners of the last {n} draws',
+    'cooldown-days': 'Skip anyone who won in the last {n} days',
+    'reduce': 'Halve odds per win in the last {n} days',
+    'round-robin': 'Everyone wins once before anyone wins twice'
+};
+
+const GROUP_LABELS = { participant: 'Participant', shift: 'Shift', supervisor: 'Supervisor', tag: 'Tag' };
+
+/**
+ * Win chance as a short percentage label
+ */
+export const formatOdds = (chance) => {
+    const pct = chance * 100;
+    return `${pct >= 10 ? pct.toFixed(0) : pct >= 1 ? pct.toFixed(1) : pct.toFixed(2)}%`;
+};
+
+/**
+ * Odds summary: chance of winning the next draw per participant or group
+ * under the current mode, filter and fairness policy, as a bar chart and
+ * an exportable table to publish before a draw.
+ */
+export class OddsReport {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+
+        this.modal = document.getElementById('modal-odds');
+        this.summaryEl = document.getElementById('odds-summary');
+        this.groupSelect = document.getElementById('odds-group');
+        this.chartEl = document.getElementById('odds-chart');
+
+        document.getElementById('btn-close-odds').addEventListener('click', () => this.modal.classList.add('hidden'));
+        this.groupSelect.addEventListener('change', () => this.render());
+        document.getElementById('btn-odds-export-xlsx').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.download('xlsx');
+        });
+        document.getElementById('btn-odds-export-csv').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.download('csv');
+        });
+    }
+
+    open() {
+        this.render();
+        this.modal.classList.remove('hidden');
+    }
+
+    /**
+     * Draw settings in words, e.g. { Mode: 'Weighted', Fairness: '...', ... }
+     */
+    describeDraw(rows) {
+        const settings = this.dataManager.getSettings();
+        const { policy, draws, days } = settings.fairness;
+        const filter = Object.entries(this.dataManager.getFilter())
+            .filter(([, values]) => values.length)
+            .map(([field, values]) => `${GROUP_LABELS[field]}: ${values.join(', ')}`)
+            .join(' · ');
+        const canWin = rows.filter(row => row.chance > 0).length;
+
+        return {
+            Mode: this.dataManager.mode === 'weighted' ? 'Weighted' : 'Random',
+            Fairness: FAIRNESS_LABELS[policy].replace('{n}', policy === 'cooldown-draws' ? draws : days),
+            Filter: filter || 'None',
+            "Can Win": `${canWin} of ${rows.length}`
+        };
+    }
+
+    /**
+     * Total chance per bar: one per participant, or summed per group value
+     */
+    getBars(rows, group) {
+        if (group === 'participant') {
+            return rows.filter(row => row.chance > 0).map(row => ({ label: row.participant.name, chance: row.chance }));
+        }
+        const totals = new Map();
+        rows.forEach(({ participant, chance }) => {
+            const label = participant[group] || `No ${GROUP_LABELS[group]}`;
+            totals.set(label, (totals.get(label) || 0) + chance);
+        });
+        return [...totals].filter(([, chance]) => chance > 0).map(([label, chance]) => ({ label, chance }));
+    }
+
+    render() {
+        const rows = this.dataManager.getOddsTable();
+        this.summaryEl.innerHTML = Object.entries(this.describeDraw(rows))
+            .map(([label, value]) => `<span class="odds-fact"><strong>${label}:</strong> ${escapeAttr(value)}</span>`)
+            .join('');
+
+        const bars = this.getBars(rows, this.groupSelect.value).sort((a, b) => b.chance - a.chance);
+        if (bars.length === 0) {
+            this.chartEl.innerHTML = '<p class="odds-empty">Nobody can win the next draw.</p>';
+            return;
+        }
+
+        const shown = bars.slice(0, CHART_LIMIT);
+        const rest = bars.slice(CHART_LIMIT);
+        const max = shown[0].chance;
+        this.chartEl.innerHTML = shown.map(bar => `
+            <div class="chart-bar-row">
+                <span class="chart-bar-label" title="${escapeAttr(bar.label)}">${escapeAttr(bar.label)}</span>
+                <div class="chart-bar-track">
+                    <div class="chart-bar-fill" style="width: ${(bar.chance / max) * 100}%"></div>
+                </div>
+                <span class="chart-bar-value">${formatOdds(bar.chance)}</span>
+            </div>
+        `).join('') + (rest.length ? `
+            <p class="odds-more">+${rest.length} more, ${formatOdds(rest.reduce((sum, bar) => sum + bar.chance, 0))} combined</p>
+        ` : '');
+    }
+
+    /**
+     * Full odds table; XLSX adds a sheet describing the draw settings
+     */
+    download(format) {
+        const rows = this.dataManager.getOddsTable();
+        const table = [...rows].sort((a, b) => b.chance - a.chance).map(({ participant: p, chance, weight, status }) => ({
+            Name: p.name,
+            UID: p.uid || '',
+            Supervisor: p.supervisor || '',
+            Shift: p.shift || '',
+            Tag: p.tag || '',
+            Weight: p.weight,
+            "Effective Weight": Number(weight.toFixed(4)),
+            "Chance (%)": Number((chance * 100).toFixed(4)),
+            Status: status
+        }));
+
+        const wb = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(table), "Odds");
+        if (format === 'xlsx') {
+            const info = { Generated: new Date().toLocaleString(), ...this.describeDraw(rows) };
+            const infoRows = Object.entries(info).map(([Setting, Value]) => ({ Setting, Value }));
+            XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(infoRows), "Draw Info");
+        }
+        XLSX.writeFile(wb, `Odds_${new Date().toISOString().slice(0,10)}.${format}`, { bookType: format });
+    }
+}
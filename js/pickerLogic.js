@@ -1,30 +1,297 @@
 /**
  * Pure logic for selecting winners.
  * Handles both uniform random and weighted random selections.
+ *
+ * Every selection accepts an optional `rng` (a function returning a float in [0, 1)).
+ * Draws use a seeded RNG so they can be replayed and verified from the history log.
  */
 export const PickerLogic = {
+
+    /**
+     * Create a deterministic RNG (mulberry32) from a seed
+     * @param {string|number} seed - 8-char hex string or 32-bit integer
+     * @returns {Function} rng returning floats in [0, 1)
+     */
+    createRng(seed) {
+        let state = (typeof seed === 'string' ? parseInt(seed, 16) : seed) >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * Generate a fresh 32-bit seed as an 8-char hex string
+     * @param {boolean} secure - Draw the seed from crypto.getRandomValues instead of Math.random
+     */
+    generateSeed(secure = false) {
+        const value = secure
+            ? crypto.getRandomValues(new Uint32Array(1))[0]
+            : Math.floor(Math.random() * 4294967296);
+        return value.toString(16).padStart(8, '0');
+    },
+
+    /**
+     * Compact, order-preserving snapshot of a pool for the audit record
+     * @returns {Array} Array of [id, weight] pairs
+     */
+    snapshotPool(participants) {
+        return participants.map(p => [p.id, p.weight]);
+    },
+
+    /**
+     * Hash a pool snapshot. SHA-256 where SubtleCrypto is available (secure contexts),
+     * FNV-1a otherwise. The algorithm is prefixed so verification uses the same one.
+     * @param {Array} snapshot - Output of snapshotPool
+     * @param {string} algorithm - 'sha256' | 'fnv1a'
+     * @returns {Promise<string>} e.g. "sha256:9f86d0..."
+     */
+    async hashPool(snapshot, algorithm = (globalThis.crypto && crypto.subtle) ? 'sha256' : 'fnv1a') {
+        const text = JSON.stringify(snapshot);
+
+        if (algorithm === 'sha256') {
+            const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+            const hex = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+            return `sha256:${hex}`;
+        }
+
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `fnv1a:${(hash >>> 0).toString(16).padStart(8, '0')}`;
+    },
+
+    /**
+     * Replay a logged draw and check it produces the recorded winner
+     * @param {Object} entry - History entry with { winner, seed, poolHash, mode, pool }
+     * @returns {Promise<Object>} { ok, hashOk, winnerOk, replayedId }
+     */
+    async verifyDraw(entry) {
+        if (!entry.seed || !entry.pool) {
+            throw new Error('This entry has no audit record.');
+        }
+
+        const algorithm = entry.poolHash.split(':')[0];
+        const hashOk = (await this.hashPool(entry.pool, algorithm)) === entry.poolHash;
+
+        // Same sequence as the live draw: shuffle the pool, then select from the shuffled order
+        const rng = this.createRng(entry.seed);
+        const pool = entry.pool.map(([id, weight]) => ({ id, weight }));
+        const shuffled = this.shuffle(pool, rng);
+        // Fairness policies can turn a random draw into a weighted one
+        const mode = entry.drawMode || entry.mode;
+        const replayed = entry.batch
+            ? this.selectWinners(shuffled, mode, entry.batch.size, rng)[entry.batch.index]
+            : this.selectWinner(shuffled, mode, rng);
+        const winnerOk = !!replayed && replayed.id === entry.winner.id;
+
+        return { ok: hashOk && winnerOk, hashOk, winnerOk, replayedId: replayed ? replayed.id : null };
+    },
     
     /**
      * Select a winner from a list of participants based on mode
      * @param {Array} participants - List of {name, weight} objects
      * @param {string} mode - 'random' or 'weighted'
+     * @param {Function} rng - Random source, defaults to Math.random
      * @returns {Object} The selected participant object
      */
-    selectWinner(participants, mode) {
+    selectWinner(participants, mode, rng = Math.random) {
         if (!participants || participants.length === 0) return null;
 
         if (mode === 'weighted') {
-            return this._selectWeighted(participants);
+            return this._selectWeighted(participants, rng);
         } else {
-            return this._selectUniform(participants);
+            return this._selectUniform(participants, rng);
+        }
+    },
+
+    /**
+     * Select several distinct winners (sampling without replacement).
+     * Each pick runs selectWinner on the remaining pool, so weighted odds carry over.
+     * A count of 1 consumes the RNG exactly like selectWinner.
+     * @param {Array} participants
+     * @param {string} mode - 'random' or 'weighted'
+     * @param {Number} count - Number of winners, capped at the pool size
+     * @param {Function} rng
+     * @returns {Array} Winners in draw order
+     */
+    selectWinners(participants, mode, count, rng = Math.random) {
+        const remaining = [...participants];
+        const winners = [];
+        while (winners.length < count && remaining.length > 0) {
+            const winner = this.selectWinner(remaining, mode, rng);
+            winners.push(winner);
+            remaining.splice(remaining.indexOf(winner), 1);
         }
+        return winners;
+    },
+
+    /**
+     * Apply a fairness policy based on past wins.
+     * Voided and forfeited entries don't count as wins.
+     * - 'cooldown-draws': winners of the last `draws` wins sit out
+     * - 'cooldown-days': anyone who won in the last `days` days sits out
+     * - 'reduce': odds halve for every win in the last `days` days (draws become weighted)
+     * - 'round-robin': only people with the fewest wins so far can win
+     * @param {Array} participants - Eligible pool
+     * @param {Array} history - History log, newest first
+     * @param {Object} fairness - { policy, draws, days }
+     * @param {string} mode - 'random' or 'weighted'
+     * @param {Date} now
+     * @returns {Object} { pool, mode } to draw from; with 'reduce' the pool holds copies carrying the reduced weight
+     */
+    applyFairness(participants, history, fairness, mode, now = new Date()) {
+        const wins = history.filter(h => !h.voided && !h.forfeited);
+        const since = now - fairness.days * 86400000;
+        const winsSince = () => wins.filter(h => new Date(h._rawDate) >= since);
+
+        switch (fairness.policy) {
+            case 'cooldown-draws': {
+                const recent = new Set(wins.slice(0, fairness.draws).map(h => h.winner.id));
+                return { pool: participants.filter(p => !recent.has(p.id)), mode };
+            }
+            case 'cooldown-days': {
+                const recent = new Set(winsSince().map(h => h.winner.id));
+                return { pool: participants.filter(p => !recent.has(p.id)), mode };
+            }
+            case 'reduce': {
+                const counts = new Map();
+                winsSince().forEach(h => counts.set(h.winner.id, (counts.get(h.winner.id) || 0) + 1));
+                const pool = participants.map(p => ({
+                    ...p,
+                    weight: (mode === 'weighted' ? p.weight || 1 : 1) * Math.pow(0.5, counts.get(p.id) || 0)
+                }));
+                return { pool, mode: 'weighted' };
+            }
+            case 'round-robin': {
+                const counts = new Map();
+                wins.forEach(h => counts.set(h.winner.id, (counts.get(h.winner.id) || 0) + 1));
+                const fewest = participants.reduce((min, p) => Math.min(min, counts.get(p.id) || 0), Infinity);
+                return { pool: participants.filter(p => (counts.get(p.id) || 0) === fewest), mode };
+            }
+            default:
+                return { pool: participants, mode };
+        }
+    },
+
+    /**
+     * Knock-out order for an elimination reveal.
+     * The survivor is drawn first (so the draw replays like any single spin);
+     * everyone else is shuffled with the same RNG and split into rounds.
+     * @param {Array} participants
+     * @param {Object} survivor - Winner already drawn from participants
+     * @param {Number} perRound - Knocked out per round, 0 for about ten rounds
+     * @param {Function} rng
+     * @returns {Array} Rounds, each an array of eliminated participants
+     */
+    planElimination(participants, survivor, perRound = 0, rng = Math.random) {
+        const others = this.shuffle(participants.filter(p => p.id !== survivor.id), rng);
+        const size = perRound > 0 ? perRound : Math.max(1, Math.ceil(others.length / 10));
+        const rounds = [];
+        for (let i = 0; i < others.length; i += size) {
+            rounds.push(others.slice(i, i + size));
+        }
+        return rounds;
+    },
+
+    /**
+     * Split participants into teams.
+     * With balanceBy, people are grouped by that field and each group is dealt
+     * round-robin, so every value spreads as evenly as possible across teams.
+     * Team sizes never differ by more than one.
+     * @param {Array} participants
+     * @param {Object} options
+     * @param {Number} options.teamCount - Number of teams (wins over teamSize)
+     * @param {Number} options.teamSize - People per team, when teamCount is not set
+     * @param {string} options.balanceBy - '' | 'shift' | 'supervisor' | 'tag'
+     * @param {Function} rng
+     * @returns {Object} { teams: Array of member arrays, order: [[member, teamIndex]] in deal order }
+     */
+    makeTeams(participants, { teamCount = 0, teamSize = 0, balanceBy = '' } = {}, rng = Math.random) {
+        const count = Math.max(1, Math.min(participants.length,
+            teamCount > 0 ? teamCount : Math.ceil(participants.length / Math.max(1, teamSize))));
+
+        let dealOrder;
+        if (balanceBy) {
+            const groups = new Map();
+            this.shuffle(participants, rng).forEach(p => {
+                const key = String(p[balanceBy] || '').trim().toLowerCase();
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(p);
+            });
+            // Largest groups first so the leftovers (uneven remainders) come from small groups
+            dealOrder = [...groups.values()].sort((a, b) => b.length - a.length).flat();
+        } else {
+            dealOrder = this.shuffle(participants, rng);
+        }
+
+        // Start the rotation at a random team so team 1 isn't always the biggest
+        const offset = Math.floor(rng() * count);
+        const teams = Array.from({ length: count }, () => []);
+        const order = dealOrder.map((p, i) => {
+            const team = (i + offset) % count;
+            teams[team].push(p);
+            return [p, team];
+        });
+        return { teams, order };
+    },
+
+    /**
+     * Secret Santa assignment: everyone gives to exactly one other person and
+     * receives from exactly one (a derangement), honouring "not the same X" rules.
+     * Built as a bipartite matching (augmenting paths) over shuffled candidate
+     * lists, so any rule set that admits a solution gets one.
+     * @param {Array} participants
+     * @param {Array} excludeSame - Fields givers and receivers must not share, e.g. ['supervisor']; blanks never clash
+     * @param {Function} rng
+     * @returns {Array} [giver, receiver] pairs, in random order
+     * @throws {Error} If there are fewer than two people or the rules leave no valid assignment
+     */
+    matchPairs(participants, excludeSame = [], rng = Math.random) {
+        if (participants.length < 2) throw new Error('Matching needs at least 2 participants');
+
+        const people = this.shuffle(participants, rng);
+        const keyOf = (p, field) => String(p[field] || '').trim().toLowerCase();
+        const allowed = (g, r) => g !== r && excludeSame.every(field => {
+            const key = keyOf(people[g], field);
+            return !key || key !== keyOf(people[r], field);
+        });
+        const candidates = people.map((_, g) => this.shuffle(people.map((_, r) => r).filter(r => allowed(g, r)), rng));
+
+        const giverOf = new Array(people.length).fill(-1); // receiver index -> giver index
+        const augment = (g, visited) => {
+            for (const r of candidates[g]) {
+                if (visited[r]) continue;
+                visited[r] = true;
+                if (giverOf[r] === -1 || augment(giverOf[r], visited)) {
+                    giverOf[r] = g;
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        people.forEach((p, g) => {
+            if (!augment(g, new Uint8Array(people.length))) {
+                throw new Error(`No valid match for ${p.name} with the current rules`);
+            }
+        });
+
+        const receiverOf = new Array(people.length);
+        giverOf.forEach((g, r) => { receiverOf[g] = r; });
+        return people.map((p, g) => [p, people[receiverOf[g]]]);
     },
 
     /**
      * Uniform random selection (everyone has equal chance)
      */
-    _selectUniform(participants) {
-        const index = Math.floor(Math.random() * participants.length);
+    _selectUniform(participants, rng = Math.random) {
+        const index = Math.floor(rng() * participants.length);
         return participants[index];
     },
 
@@ -32,9 +299,9 @@ export const PickerLogic = {
      * Weighted random selection algorithm
      * Uses cumulative weight calculation
      */
-    _selectWeighted(participants) {
+    _selectWeighted(participants, rng = Math.random) {
         const totalWeight = participants.reduce((sum, p) => sum + (p.weight || 1), 0);
-        let randomValue = Math.random() * totalWeight;
+        let randomValue = rng() * totalWeight;
         
         for (const p of participants) {
             const weight = p.weight || 1;
@@ -48,14 +315,53 @@ export const PickerLogic = {
         return participants[participants.length - 1];
     },
 
+    /**
+     * Chance of each participant winning a single draw
+     * @param {Array} participants
+     * @param {string} mode - 'random' or 'weighted'
+     * @returns {Map} participant id -> probability (0..1)
+     */
+    getOdds(participants, mode) {
+        const weightOf = (p) => (mode === 'weighted' ? p.weight || 1 : 1);
+        const totalWeight = participants.reduce((sum, p) => sum + weightOf(p), 0);
+        return new Map(participants.map(p => [p.id, weightOf(p) / totalWeight]));
+    },
+
+    /**
+     * Repeated weighted picks (with replacement) from the same list.
+     * Builds cumulative weights once, then each pick is a binary search.
+     * For visuals only; draws go through selectWinner.
+     * @returns {Function} () => participant
+     */
+    createWeightedSampler(participants, rng = Math.random) {
+        const cumulative = [];
+        let total = 0;
+        participants.forEach(p => {
+            total += p.weight || 1;
+            cumulative.push(total);
+        });
+
+        return () => {
+            const value = rng() * total;
+            let lo = 0;
+            let hi = cumulative.length - 1;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (cumulative[mid] > value) hi = mid;
+                else lo = mid + 1;
+            }
+            return participants[lo];
+        };
+    },
+
     /**
      * Shuffles an array (Fisher-Yates)
      * Useful for generating the visual track order
      */
-    shuffle(array) {
+    shuffle(array, rng = Math.random) {
         const arr = [...array];
         for (let i = arr.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(rng() * (i + 1));
             [arr[i], arr[j]] = [arr[j], arr[i]];
         }
         return arr;
@@ -0,0 +1,208 @@
+import { escapeAttr, avatarColor, AVATAR_ICON } from './html.js';
+
+// Rules offered in the setup panel: field -> checkbox label
+const RULES = { supervisor: 'Not the same supervisor', shift: 'Not the same shift', tag: 'Not the same tag' };
+
+/**
+ * Secret Santa matching.
+ * The organizer sets "not the same X" rules and draws an assignment
+ * (see PickerLogic.matchPairs). Pairs are then either revealed one by one
+ * on screen, or privately: each giver picks their own name (and confirms
+ * their ID when they have one) to see only their receiver.
+ */
+export class SecretSanta {
+    constructor(dataManager, audioManager) {
+        this.dataManager = dataManager;
+        this.audioManager = audioManager;
+
+        this.modal = document.getElementById('modal-santa');
+        this.revealModal = document.getElementById('modal-santa-reveal');
+        this.rulesEl = document.getElementById('santa-rules');
+        this.statusEl = document.getElementById('santa-status');
+        this.privateList = document.getElementById('santa-private-list');
+
+        this.rulesEl.innerHTML = Object.entries(RULES).map(([field, label]) => `
+            <label class="checkbox-label">
+                <input type="checkbox" value="${field}"> ${label}
+            </label>
+        `).join('');
+
+        document.getElementById('btn-close-santa').addEventListener('click', () => this.modal.classList.add('hidden'));
+        document.getElementById('btn-santa-generate').addEventListener('click', () => this.generate());
+        document.getElementById('btn-santa-reveal').addEventListener('click', () => this.revealNext());
+        document.getElementById('btn-santa-export').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.download();
+        });
+        document.getElementById('btn-santa-clear').addEventListener('click', () => {
+            if (confirm("Discard the current matching?")) {
+                this.dataManager.clearMatching();
+                this.render();
+            }
+        });
+        this.privateList.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-index]');
+            if (btn) this.revealPrivate(parseInt(btn.dataset.index));
+        });
+    }
+
+    open() {
+        const matching = this.dataManager.getMatching();
+        this.rulesEl.querySelectorAll('input').forEach(input => {
+            input.checked = !!matching && matching.rules.includes(input.value);
+        });
+        this.render();
+        this.modal.classList.remove('hidden');
+    }
+
+    getRules() {
+        return [...this.rulesEl.querySelectorAll('input:checked')].map(input => input.value);
+    }
+
+    render() {
+        const matching = this.dataManager.getMatching();
+        const hasMatching = !!matching;
+        ['btn-santa-reveal', 'btn-santa-clear'].forEach(id => {
+            document.getElementById(id).disabled = !hasMatching;
+        });
+
+        if (!hasMatching) {
+            this.statusEl.textContent = `No matching yet · ${this.dataManager.getParticipants().length} participants`;
+            this.privateList.innerHTML = '';
+            return;
+        }
+
+        const revealed = matching.pairs.filter(pair => pair.revealed).length;
+        this.statusEl.textContent = `${matching.pairs.length} pairs · ${revealed} revealed · Seed ${matching.seed} · ${new Date(matching.createdAt).toLocaleString()}`;
+
+        // Givers only, alphabetically so the list says nothing about the pairs
+        this.privateList.innerHTML = matching.pairs
+            .map((pair, index) => ({ pair, index }))
+            .sort((a, b) => a.pair.giver.name.localeCompare(b.pair.giver.name))
+            .map(({ pair, index }) => `
+                <button class="santa-giver ${pair.revealed ? 'revealed' : ''}" data-index="${index}">
+                    ${pair.revealed ? '✓ ' : ''}${escapeAttr(pair.giver.name)}
+                </button>
+            `).join('');
+    }
+
+    generate() {
+        const matching = this.dataManager.getMatching();
+        if (matching && matching.pairs.some(pair => pair.revealed)
+            && !confirm("Some pairs have already been revealed. Draw a new matching anyway?")) {
+            return;
+        }
+
+        try {
+            this.dataManager.createMatching(this.getRules());
+        } catch (error) {
+            alert("Error: " + (error.message || error));
+            return;
+        }
+        this.render();
+    }
+
+    /**
+     * On-screen ceremony: the next unrevealed pair
+     */
+    revealNext() {
+        const { pairs } = this.dataManager.getMatching();
+        const index = pairs.findIndex(pair => !pair.revealed);
+        if (index === -1) {
+            alert("All pairs have been revealed.");
+            return;
+        }
+        this.dataManager.markPairRevealed(index);
+        this.showPair(pairs[index], `🎁 Pair ${index + 1} of ${pairs.length} 🎁`, pairs.some(pair => !pair.revealed));
+    }
+
+    /**
+     * One giver sees only their own receiver
+     */
+    revealPrivate(index) {
+        const pair = this.dataManager.getMatching().pairs[index];
+        const { giver } = pair;
+
+        if (giver.uid) {
+            const answer = prompt(`${giver.name}, enter your ID to see who you're buying for:`);
+            if (answer === null) return;
+            if (answer.trim().toLowerCase() !== String(giver.uid).trim().toLowerCase()) {
+                alert("That ID doesn't match.");
+                return;
+            }
+        } else if (!confirm(`Make sure only ${giver.name} can see the screen, then press OK.`)) {
+            return;
+        }
+
+        this.dataManager.markPairRevealed(index);
+        this.render();
+        this.showPair(pair, '🤫 Your Secret Santa 🤫', false);
+    }
+
+    /**
+     * Winner-modal style card: giver on top, receiver below
+     */
+    showPair({ giver, receiver }, banner, hasNext) {
+        const person = (p, badge) => `
+            <div class="profile-card-header">
+                <div class="profile-avatar-wrapper">
+                    <div class="profile-avatar winner-avatar-glow" style="background: ${avatarColor(p.name)}">${AVATAR_ICON}</div>
+                </div>
+                <div class="profile-identity">
+                    <h2 class="profile-name winner-text-gold">${escapeAttr(p.name)}</h2>
+                    <div class="profile-role-badge winner-badge-gold">${badge}</div>
+                </div>
+            </div>`;
+
+        this.revealModal.innerHTML = `
+            <div class="modal-content winner-modal-content-reset">
+                <button class="close-icon-winner" id="btn-close-santa-reveal">&times;</button>
+
+                <div class="winner-celebration-banner">${banner}</div>
+
+                <div class="profile-card-main winner-edition">
+                    ${person(giver, 'Giver')}
+                    <div class="santa-gives">gives a gift to</div>
+                    ${person(receiver, escapeAttr(receiver.tag) || 'Receiver')}
+                </div>
+
+                <div class="winner-actions">
+                    ${hasNext ? `<button class="modal-btn winner-action-btn" id="btn-santa-next">Next Pair ▶</button>` : ''}
+                    <button class="modal-btn winner-action-btn" id="btn-santa-hide">Hide</button>
+                </div>
+            </div>
+        `;
+        this.revealModal.classList.remove('hidden');
+        this.audioManager.playWin();
+
+        const hide = () => {
+            this.revealModal.classList.add('hidden');
+            this.revealModal.innerHTML = ''; // Nothing left in the DOM to peek at
+            this.render();
+        };
+        document.getElementById('btn-close-santa-reveal').addEventListener('click', hide);
+        document.getElementById('btn-santa-hide').addEventListener('click', hide);
+        if (hasNext) {
+            document.getElementById('btn-santa-next').addEventListener('click', () => this.revealNext());
+        }
+    }
+
+    download() {
+        const matching = this.dataManager.getMatching();
+        if (!matching) {
+            alert("Generate a matching first!");
+            return;
+        }
+        const rows = matching.pairs.map(({ giver, receiver }) => ({
+            Giver: giver.name,
+            "Giver ID": giver.uid || '',
+            Receiver: receiver.name,
+            "Receiver ID": receiver.uid || ''
+        }));
+
+        const ws = XLSX.utils.json_to_sheet(rows);
+        const wb = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(wb, ws, "Secret Santa");
+        XLSX.writeFile(wb, `SecretSanta_${new Date().toISOString().slice(0,10)}.xlsx`);
+    }
+}
@@ -0,0 +1,198 @@
+import { applyEasing } from './animationEngine.js';
+
+const REEL_COUNT = 3;
+
+// Row height in px; each reel window shows three rows with the winner line in the middle
+const ROW_HEIGHT = 72;
+
+// Rows kept rendered above and below the window
+const OVERSCAN = 2;
+
+// Share of the spin duration after which each reel settles, left to right
+const REEL_STOPS = [0.7, 0.85, 1];
+
+/**
+ * Three-reel slot machine display.
+ * Like the track, each reel is an endless strip of logical rows drawn with
+ * a few recycled cells. A spin settles every reel on the winner's name in
+ * the centre row, one reel after another.
+ */
+export class SlotEngine {
+    constructor(container) {
+        this.container = container;
+        this.items = [];
+        this.reels = [];
+
+        this.isSpinning = false;
+        this.isIdle = false;
+        this.baseIdleSpeed = 0.5; // Pixels per frame, same unit as the track
+        this.idleSpeed = this.baseIdleSpeed;
+        this.idleReqId = null;
+        this.lastRow = 0;
+
+        this.onTick = null; // Callback for sound
+        this.onFinish = null; // Callback for winner calculation
+
+        this._build();
+    }
+
+    _build() {
+        this.container.innerHTML = '';
+        this.reels = Array.from({ length: REEL_COUNT }, (_, r) => {
+            const reel = document.createElement('div');
+            reel.className = 'slot-reel';
+            const strip = document.createElement('div');
+            strip.className = 'slot-strip';
+            reel.appendChild(strip);
+            this.container.appendChild(reel);
+
+            const cells = Array.from({ length: 3 + OVERSCAN * 2 }, () => {
+                const cell = document.createElement('div');
+                cell.className = 'slot-cell';
+                strip.appendChild(cell);
+                return cell;
+            });
+            // Stagger the reels so they don't show the same names while idle
+            return { strip, cells, cellIndex: cells.map(() => null), offset: r * 7 * ROW_HEIGHT, overrides: new Map() };
+        });
+    }
+
+    /**
+     * @param {Array} items - Participants, in reel order
+     */
+    setItems(items) {
+        this.items = items;
+        this.reels.forEach(reel => {
+            reel.overrides.clear();
+            reel.cellIndex.fill(null);
+            this._layout(reel);
+        });
+    }
+
+    _itemAt(reel, index) {
+        const n = this.items.length;
+        return reel.overrides.get(index) || this.items[((index % n) + n) % n];
+    }
+
+    /**
+     * Scroll a reel to its offset, recycling cells that left the window
+     */
+    _layout(reel) {
+        if (this.items.length === 0) return;
+        const size = reel.cells.length;
+        const first = Math.floor(reel.offset / ROW_HEIGHT) - 1 - OVERSCAN;
+
+        for (let index = first; index < first + size; index++) {
+            const slot = ((index % size) + size) % size;
+            if (reel.cellIndex[slot] === index) continue;
+
+            const cell = reel.cells[slot];
+            reel.cellIndex[slot] = index;
+            cell.className = 'slot-cell';
+            cell.style.top = `${index * ROW_HEIGHT}px`;
+            cell.textContent = this._itemAt(reel, index).name;
+        }
+        // Row i sits in the centre line when offset = i * ROW_HEIGHT
+        reel.strip.style.transform = `translateY(${ROW_HEIGHT - reel.offset}px)`;
+    }
+
+    /**
+     * One tick per frame at most, whenever any reel moves on a row
+     */
+    _checkTick() {
+        const row = this.reels.reduce((sum, reel) => sum + Math.floor(reel.offset / ROW_HEIGHT), 0);
+        if (row !== this.lastRow) {
+            this.lastRow = row;
+            if (this.isSpinning && this.onTick) this.onTick();
+        }
+    }
+
+    startIdle() {
+        if (this.isSpinning || this.isIdle) return;
+        this.isIdle = true;
+        this._idleLoop();
+    }
+
+    stopIdle() {
+        this.isIdle = false;
+        if (this.idleReqId) cancelAnimationFrame(this.idleReqId);
+        this.idleReqId = null;
+    }
+
+    _idleLoop() {
+        if (!this.isIdle) return;
+        this.reels.forEach(reel => {
+            reel.offset += this.idleSpeed;
+            this._layout(reel);
+        });
+        this.idleReqId = requestAnimationFrame(() => this._idleLoop());
+    }
+
+    /**
+     * Rapid scrolling for the "Shuffle" phase
+     */
+    visualShuffle(speed = 30) {
+        this.idleSpeed = speed;
+        if (!this.isIdle) {
+            this.isIdle = true;
+            this._idleLoop();
+        }
+    }
+
+    setIdleSpeed(speed) {
+        this.baseIdleSpeed = speed;
+        this.idleSpeed = speed;
+    }
+
+    resetIdleSpeed() {
+        this.idleSpeed = this.baseIdleSpeed;
+    }
+
+    /**
+     * Spin all reels and settle them on the winner, left to right
+     * @param {Object} winner
+     * @param {Number} duration - ms until the last reel stops
+     * @param {string} theme - Easing theme
+     */
+    spinTo(winner, duration = 6000, theme = 'standard') {
+        this.stopIdle();
+        this.isSpinning = true;
+
+        const plans = this.reels.map((reel, r) => {
+            const reelDuration = duration * REEL_STOPS[r];
+            // Land past every drawn row so no visible name changes
+            const target = Math.floor(reel.offset / ROW_HEIGHT) + OVERSCAN + 3 + Math.max(30, Math.floor(reelDuration / 100));
+            reel.overrides.clear();
+            reel.overrides.set(target, winner);
+            return { reel, target, from: reel.offset, to: target * ROW_HEIGHT, duration: reelDuration, done: false };
+        });
+
+        const startTime = performance.now();
+        const animate = (time) => {
+            const elapsed = time - startTime;
+            plans.forEach(plan => {
+                if (plan.done) return;
+                const progress = Math.min(elapsed / plan.duration, 1);
+                plan.reel.offset = plan.from + (plan.to - plan.from) * applyEasing(theme, progress);
+                this._layout(plan.reel);
+
+                if (progress === 1) {
+                    plan.done = true;
+                    plan.reel.offset = plan.to;
+                    this._layout(plan.reel);
+                    const slot = plan.reel.cellIndex.indexOf(plan.target);
+                    if (slot !== -1) plan.reel.cells[slot].classList.add('slot-landed');
+                }
+            });
+            this._checkTick();
+
+            if (plans.some(plan => !plan.done)) {
+                requestAnimationFrame(animate);
+            } else {
+                this.isSpinning = false;
+                if (this.onFinish) this.onFinish();
+            }
+        };
+        requestAnimationFrame(animate);
+    }
+}
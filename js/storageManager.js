@@ -0,0 +1,155 @@
+/**
+ * Persists application state to localStorage.
+ * Payloads are versioned so older saves can be migrated forward on load.
+ */
+export const SCHEMA_VERSION = 6;
+
+const STORAGE_KEY = 'randomizer-pro:state';
+
+/**
+ * Migrations keyed by the version they upgrade FROM.
+ * Each step receives a payload of version N and returns version N + 1.
+ */
+const MIGRATIONS = {
+    // v0: unversioned saves (flat { participants, historyLog, mode, removeWinner })
+    0: (data) => ({
+        version: 1,
+        participants: data.participants || [],
+        historyLog: data.historyLog || [],
+        mode: data.mode || 'random',
+        removeWinner: !!data.removeWinner,
+        settings: data.settings || {}
+    }),
+    // v1 -> v2: prize inventory
+    1: (data) => ({
+        ...data,
+        version: 2,
+        prizes: []
+    }),
+    // v2 -> v3: secret santa matching
+    2: (data) => ({
+        ...data,
+        version: 3,
+        matching: null
+    }),
+    // v3 -> v4: named events; the single saved session becomes the first event
+    3: ({ version, ...state }) => {
+        const id = Math.random().toString(36).substr(2, 9);
+        return {
+            version: 4,
+            activeEventId: id,
+            events: [{ id, name: 'My Event', archived: false, createdAt: new Date().toISOString(), state }]
+        };
+    },
+    // v4 -> v5: draw pools stored once per event, keyed by pool hash, instead of on every entry
+    4: (data) => ({
+        ...data,
+        version: 5,
+        events: data.events.map(event => {
+            if (!event.state) return event;
+            const drawPools = {};
+            const historyLog = event.state.historyLog.map(({ pool, ...entry }) => {
+                if (pool && entry.poolHash) drawPools[entry.poolHash] = pool;
+                return entry;
+            });
+            return { ...event, state: { ...event.state, historyLog, drawPools } };
+        })
+    }),
+    // v5 -> v6: remembered import header mappings move out of event settings, shared by all events
+    5: (data) => {
+        const mappingsOf = (event) => (event.state && event.state.settings && event.state.settings.importMappings) || {};
+        // The active event's mappings are the most recent, so they're applied last
+        const active = data.events.filter(event => event.id === data.activeEventId);
+        const others = data.events.filter(event => event.id !== data.activeEventId);
+        return {
+            ...data,
+            version: 6,
+            importMappings: Object.assign({}, ...[...others, ...active].map(mappingsOf)),
+            events: data.events.map(event => {
+                if (!event.state || !event.state.settings) return event;
+                const { importMappings, ...settings } = event.state.settings;
+                return { ...event, state: { ...event.state, settings } };
+            })
+        };
+    }
+};
+
+export class StorageManager {
+    constructor(key = STORAGE_KEY, backend = null) {
+        this.key = key;
+        this.backend = backend; // null = window.localStorage, looked up on each use
+    }
+
+    /**
+     * Reading window.localStorage itself throws when storage is blocked,
+     * so only call this inside a try
+     */
+    getBackend() {
+        return this.backend || window.localStorage;
+    }
+
+    /**
+     * Read and migrate the saved payload
+     * @returns {Object|null} Payload at SCHEMA_VERSION, or null on first run / unreadable data
+     */
+    load() {
+        let raw;
+        try {
+            raw = this.getBackend().getItem(this.key);
+        } catch (err) {
+            console.warn('Storage unavailable, starting fresh.', err);
+            return null;
+        }
+        if (!raw) return null;
+
+        try {
+            return this.migrate(JSON.parse(raw));
+        } catch (err) {
+            console.error('Saved state is corrupt or from a newer version, ignoring it.', err);
+            return null;
+        }
+    }
+
+    /**
+     * Write a payload, stamping the current schema version
+     * @param {Object} data
+     * @returns {boolean} false if the browser refused the write (quota, private mode)
+     */
+    save(data) {
+        try {
+            this.getBackend().setItem(this.key, JSON.stringify({ ...data, version: SCHEMA_VERSION }));
+            return true;
+        } catch (err) {
+            console.warn('Could not save state.', err);
+            return false;
+        }
+    }
+
+    clear() {
+        try {
+            this.getBackend().removeItem(this.key);
+        } catch (err) {
+            console.warn('Could not clear saved state.', err);
+        }
+    }
+
+    /**
+     * Step a payload through MIGRATIONS until it reaches SCHEMA_VERSION
+     */
+    migrate(data) {
+        let current = data;
+        let version = Number(current.version) || 0;
+
+        if (version > SCHEMA_VERSION) {
+            throw new Error(`Unsupported schema version ${version}`);
+        }
+
+        while (version < SCHEMA_VERSION) {
+            const step = MIGRATIONS[version];
+            if (!step) throw new Error(`No migration from schema version ${version}`);
+            current = step(current);
+            version = current.version;
+        }
+        return current;
+    }
+}
@@ -0,0 +1,186 @@
+import { PickerLogic } from './pickerLogic.js';
+
+// Longest the deal animation runs, however many people there are
+const DEAL_DURATION = 3000;
+
+// Fields teams can be balanced by
+const BALANCE_FIELDS = { shift: 'Shift', supervisor: 'Supervisor', tag: 'Tag' };
+
+/**
+ * "Make teams" mode: splits the participant pool into N teams (or teams of
+ * size K), optionally mixing shifts/supervisors/tags evenly, animates the
+ * deal and exports the result.
+ */
+export class TeamGenerator {
+    constructor(dataManager, audioManager) {
+        this.dataManager = dataManager;
+        this.audioManager = audioManager;
+
+        this.modal = document.getElementById('modal-teams');
+        this.bySelect = document.getElementById('teams-by');
+        this.valueInput = document.getElementById('teams-value');
+        this.balanceSelect = document.getElementById('teams-balance');
+        this.grid = document.getElementById('teams-grid');
+        this.summaryEl = document.getElementById('teams-summary');
+
+        this.result = null; // { teams, order, seed }
+        this.frame = null;
+
+        document.getElementById('btn-close-teams').addEventListener('click', () => this.close());
+        document.getElementById('btn-teams-generate').addEventListener('click', () => this.generate());
+        document.getElementById('btn-teams-export-xlsx').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.download('xlsx');
+        });
+        document.getElementById('btn-teams-export-csv').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.download('csv');
+        });
+        [this.bySelect, this.valueInput, this.balanceSelect].forEach(el => {
+            el.addEventListener('change', () => this.saveOptions());
+        });
+    }
+
+    open() {
+        const { by, value, balanceBy } = this.dataManager.getSettings().teamOptions;
+        this.bySelect.value = by;
+        this.valueInput.value = value;
+        this.balanceSelect.value = balanceBy;
+        this.modal.classList.remove('hidden');
+        if (!this.result) this.renderEmpty();
+    }
+
+    /**
+     * Forget the last split (e.g. after switching events)
+     */
+    reset() {
+        cancelAnimationFrame(this.frame);
+        this.result = null;
+        document.getElementById('btn-teams-generate').textContent = 'Generate';
+    }
+
+    close() {
+        cancelAnimationFrame(this.frame);
+        this.modal.classList.add('hidden');
+    }
+
+    saveOptions() {
+        const value = Math.max(1, parseInt(this.valueInput.value) || 1);
+        this.valueInput.value = value;
+        this.dataManager.updateSettings({
+            teamOptions: { by: this.bySelect.value, value, balanceBy: this.balanceSelect.value }
+        });
+    }
+
+    renderEmpty() {
+        this.grid.innerHTML = '';
+        this.summaryEl.textContent = `${this.dataManager.getParticipants().length} participants`;
+    }
+
+    /**
+     * Deal a new split (each call is a re-roll with a fresh seed)
+     */
+    generate() {
+        const participants = this.dataManager.getParticipants();
+        if (participants.length === 0) {
+            alert("Add participants!");
+            return;
+        }
+        this.saveOptions();
+
+        const { by, value, balanceBy } = this.dataManager.getSettings().teamOptions;
+        const seed = PickerLogic.generateSeed(this.dataManager.getSettings().secureSeeds);
+        const split = PickerLogic.makeTeams(participants, {
+            teamCount: by === 'count' ? value : 0,
+            teamSize: by === 'size' ? value : 0,
+            balanceBy
+        }, PickerLogic.createRng(seed));
+
+        this.result = { ...split, seed, balanceBy };
+        document.getElementById('btn-teams-generate').textContent = 'Re-roll';
+        this.animate();
+    }
+
+    /**
+     * Empty team columns, then drop members in by deal order
+     */
+    animate() {
+        cancelAnimationFrame(this.frame);
+        const { teams, order, seed } = this.result;
+
+        this.grid.innerHTML = teams.map((_, i) => `
+            <div class="team-column">
+                <div class="team-header">
+                    <strong>Team ${i + 1}</strong>
+                    <span class="team-count" data-team="${i}">0</span>
+                </div>
+                <div class="team-mix" data-team="${i}"></div>
+                <ul class="team-members" data-team="${i}"></ul>
+            </div>
+        `).join('');
+        const lists = [...this.grid.querySelectorAll('.team-members')];
+        const counts = [...this.grid.querySelectorAll('.team-count')];
+        this.summaryEl.textContent = `${order.length} people in ${teams.length} teams · Seed ${seed}`;
+
+        const duration = Math.min(DEAL_DURATION, order.length * 120);
+        const startTime = performance.now();
+        let dealt = 0;
+        const step = (time) => {
+            const target = Math.min(order.length, Math.ceil(((time - startTime) / duration) * order.length));
+            if (target > dealt) {
+                for (; dealt < target; dealt++) {
+                    const [p, team] = order[dealt];
+                    const li = document.createElement('li');
+                    li.className = 'team-member';
+                    li.textContent = p.name;
+                    lists[team].appendChild(li);
+                    counts[team].textContent = lists[team].children.length;
+                }
+                this.audioManager.playTick();
+            }
+
+            if (dealt < order.length) {
+                this.frame = requestAnimationFrame(step);
+            } else {
+                this.renderMix();
+            }
+        };
+        this.frame = requestAnimationFrame(step);
+    }
+
+    /**
+     * Per-team breakdown of the balanced field, e.g. "Day 3 · Night 2"
+     */
+    renderMix() {
+        const { teams, balanceBy } = this.result;
+        if (!balanceBy) return;
+        this.grid.querySelectorAll('.team-mix').forEach((el, i) => {
+            const mix = new Map();
+            teams[i].forEach(p => {
+                const value = p[balanceBy] || `No ${BALANCE_FIELDS[balanceBy]}`;
+                mix.set(value, (mix.get(value) || 0) + 1);
+            });
+            el.textContent = [...mix].map(([value, n]) => `${value} ${n}`).join(' · ');
+        });
+    }
+
+    download(format) {
+        if (!this.result) {
+            alert("Generate teams first!");
+            return;
+        }
+        const rows = this.result.teams.flatMap((team, i) => team.map(p => ({
+            Team: `Team ${i + 1}`,
+            Name: p.name || '',
+            ID: p.uid || '',
+            Supervisor: p.supervisor || '',
+            Shift: p.shift || '',
+            Tag: p.tag || ''
+        })));
+
+        const ws = XLSX.utils.json_to_sheet(rows);
+        const wb = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(wb, ws, "Teams");
+        XLSX.writeFile(wb, `Teams_${new Date().toISOString().slice(0,10)}.${format}`, { bookType: format });
+    }
+}
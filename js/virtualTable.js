@@ -0,0 +1,70 @@
+// Rows rendered above and below the visible window
+const OVERSCAN = 8;
+
+/**
+ * Renders only the rows of a long table that are scrolled into view.
+ * Spacer rows stand in for everything above and below, so the scrollbar
+ * still reflects the full list. Row height is estimated from the rows
+ * drawn so far.
+ */
+export class VirtualTable {
+    constructor(tbody, renderRow, rowHeight = 60) {
+        this.tbody = tbody;
+        this.container = tbody.closest('.table-container');
+        this.renderRow = renderRow; // (item, index) => '<tr>…</tr>'
+        this.rowHeight = rowHeight;
+        this.colSpan = tbody.closest('table').querySelector('thead tr').children.length;
+
+        this.items = [];
+        this.range = null; // { first, last } currently drawn
+        this.frame = null;
+
+        this.container.addEventListener('scroll', () => {
+            if (this.frame) return;
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null;
+                this.render();
+            });
+        });
+    }
+
+    setItems(items) {
+        this.items = items;
+        this.render(true);
+    }
+
+    /**
+     * Draw the rows in view
+     * @param {boolean} force - Redraw even if the visible range is unchanged
+     */
+    render(force = false) {
+        const range = this._visibleRange();
+        if (!force && this.range && this.range.first === range.first && this.range.last === range.last) return;
+
+        // Commit an in-progress inline edit before its input is replaced
+        if (this.tbody.contains(document.activeElement)) document.activeElement.blur();
+
+        const { first, last } = this.range = this._visibleRange();
+        const spacer = (rows) => rows > 0
+            ? `<tr class="virtual-spacer" style="height: ${Math.round(rows * this.rowHeight)}px"><td colspan="${this.colSpan}"></td></tr>`
+            : '';
+
+        this.tbody.innerHTML = spacer(first)
+            + this.items.slice(first, last).map((item, i) => this.renderRow(item, first + i)).join('')
+            + spacer(this.items.length - last);
+        this._measure();
+    }
+
+    _visibleRange() {
+        const viewport = this.container.clientHeight || window.innerHeight;
+        const first = Math.max(0, Math.floor(this.container.scrollTop / this.rowHeight) - OVERSCAN);
+        const last = Math.min(this.items.length, first + Math.ceil(viewport / this.rowHeight) + OVERSCAN * 2);
+        return { first: Math.min(first, last), last };
+    }
+
+    _measure() {
+        const rows = [...this.tbody.children].filter(tr => !tr.classList.contains('virtual-spacer'));
+        const height = rows.reduce((sum, tr) => sum + tr.offsetHeight, 0);
+        if (height > 0) this.rowHeight = height / rows.length;
+    }
+}
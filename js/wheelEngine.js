@@ -0,0 +1,231 @@
+import { applyEasing } from './animationEngine.js';
+
+const TAU = Math.PI * 2;
+
+// The pointer sits at 12 o'clock (canvas angles start at 3 o'clock)
+const POINTER_ANGLE = -Math.PI / 2;
+
+// Narrowest segment, in px along the rim, that still gets a name label
+const MIN_LABEL_ARC = 14;
+
+const normalizeAngle = (angle) => ((angle % TAU) + TAU) % TAU;
+
+/**
+ * Wheel-of-fortune display drawn on a canvas.
+ * Mirrors AnimationEngine: idle rotation, a fast shuffle, the same easing
+ * themes, onTick whenever a new segment passes the pointer and onFinish
+ * once the chosen segment is under it.
+ * The wheel is painted once per segment set and rotated as an image each frame.
+ */
+export class WheelEngine {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+
+        this.segments = []; // { item, start, end } in radians, clockwise from 3 o'clock
+        this.image = null; // Pre-rendered wheel
+        this.rotation = 0;
+        this.lastSegment = -1;
+
+        this.isSpinning = false;
+        this.isIdle = false;
+        this.baseIdleSpeed = 0.5; // Same unit as the track: pixels per frame, here at the rim
+        this.idleSpeed = this.baseIdleSpeed;
+        this.idleReqId = null;
+
+        this.onTick = null; // Callback for sound
+        this.onFinish = null; // Callback for winner calculation
+    }
+
+    /**
+     * Lay out the wheel
+     * @param {Array} items - Participants in wheel order
+     * @param {Function} weightOf - item => relative segment size
+     */
+    setSegments(items, weightOf = () => 1) {
+        const total = items.reduce((sum, item) => sum + weightOf(item), 0);
+        let angle = 0;
+        this.segments = items.map(item => {
+            const start = angle;
+            angle += (weightOf(item) / total) * TAU;
+            return { item, start, end: angle };
+        });
+        this.lastSegment = -1;
+        this.resize();
+    }
+
+    hasItem(item) {
+        return this.segments.some(s => s.item.id === item.id);
+    }
+
+    /**
+     * Match the canvas to its on-screen size and repaint the wheel
+     */
+    resize() {
+        const size = this.canvas.clientWidth;
+        if (!size) return; // Hidden; painted when shown
+        const dpr = window.devicePixelRatio || 1;
+        this.canvas.width = this.canvas.height = Math.round(size * dpr);
+        this._paintWheel();
+        this.draw();
+    }
+
+    _paintWheel() {
+        const size = this.canvas.width;
+        const dpr = window.devicePixelRatio || 1;
+        const radius = size / 2 - 4 * dpr;
+        const font = getComputedStyle(this.canvas).fontFamily || 'sans-serif';
+
+        const image = document.createElement('canvas');
+        image.width = image.height = size;
+        const ctx = image.getContext('2d');
+        ctx.translate(size / 2, size / 2);
+
+        this.segments.forEach((seg, i) => {
+            ctx.beginPath();
+            ctx.moveTo(0, 0);
+            ctx.arc(0, 0, radius, seg.start, seg.end);
+            ctx.closePath();
+            ctx.fillStyle = `hsl(${(i * 137.5) % 360}, 65%, 55%)`; // Golden angle keeps neighbours apart
+            ctx.fill();
+            if (this.segments.length > 1) {
+                ctx.strokeStyle = 'rgba(15, 23, 42, 0.6)';
+                ctx.lineWidth = dpr;
+                ctx.stroke();
+            }
+
+            if ((seg.end - seg.start) * radius < MIN_LABEL_ARC * dpr) return;
+            const name = seg.item.name.length > 18 ? `${seg.item.name.slice(0, 17)}…` : seg.item.name;
+            ctx.save();
+            ctx.rotate((seg.start + seg.end) / 2);
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'middle';
+            ctx.fillStyle = 'white';
+            ctx.font = `600 ${13 * dpr}px ${font}`;
+            ctx.fillText(name, radius - 14 * dpr, 0);
+            ctx.restore();
+        });
+
+        // Hub
+        ctx.beginPath();
+        ctx.arc(0, 0, radius * 0.12, 0, TAU);
+        ctx.fillStyle = '#1e293b';
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.lineWidth = 3 * dpr;
+        ctx.stroke();
+
+        this.image = image;
+    }
+
+    draw() {
+        if (!this.image) return;
+        const size = this.canvas.width;
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.clearRect(0, 0, size, size);
+        this.ctx.translate(size / 2, size / 2);
+        this.ctx.rotate(this.rotation);
+        this.ctx.drawImage(this.image, -size / 2, -size / 2);
+
+        // Sound: one tick per frame at most, whenever the segment under the pointer changes
+        const current = this._segmentAtPointer();
+        if (current !== this.lastSegment) {
+            this.lastSegment = current;
+            if (this.isSpinning && this.onTick) this.onTick();
+        }
+    }
+
+    /**
+     * Index of the segment under the pointer (binary search on segment ends)
+     */
+    _segmentAtPointer() {
+        const angle = normalizeAngle(POINTER_ANGLE - this.rotation);
+        let lo = 0;
+        let hi = this.segments.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.segments[mid].end > angle) hi = mid;
+            else lo = mid + 1;
+        }
+        return lo;
+    }
+
+    _radius() {
+        return this.canvas.clientWidth / 2 || 200;
+    }
+
+    startIdle() {
+        if (this.isSpinning || this.isIdle) return;
+        this.isIdle = true;
+        this._idleLoop();
+    }
+
+    stopIdle() {
+        this.isIdle = false;
+        if (this.idleReqId) cancelAnimationFrame(this.idleReqId);
+        this.idleReqId = null;
+    }
+
+    _idleLoop() {
+        if (!this.isIdle) return;
+        this.rotation = normalizeAngle(this.rotation + this.idleSpeed / this._radius());
+        this.draw();
+        this.idleReqId = requestAnimationFrame(() => this._idleLoop());
+    }
+
+    /**
+     * Rapid rotation for the "Shuffle" phase
+     */
+    visualShuffle(speed = 30) {
+        this.idleSpeed = speed;
+        if (!this.isIdle) {
+            this.isIdle = true;
+            this._idleLoop();
+        }
+    }
+
+    setIdleSpeed(speed) {
+        this.baseIdleSpeed = speed;
+        this.idleSpeed = speed;
+    }
+
+    resetIdleSpeed() {
+        this.idleSpeed = this.baseIdleSpeed;
+    }
+
+    /**
+     * Spin until the item's segment stops under the pointer
+     * @param {Object} item - Winner, must be on the wheel (see hasItem)
+     * @param {Number} duration - ms
+     * @param {string} theme - Easing theme
+     */
+    spinTo(item, duration = 6000, theme = 'standard') {
+        const seg = this.segments.find(s => s.item.id === item.id);
+        this.stopIdle();
+        this.isSpinning = true;
+
+        // Stop somewhere inside the segment, clear of its edges
+        const landing = seg.start + (seg.end - seg.start) * (0.15 + Math.random() * 0.7);
+        const turns = Math.max(3, Math.round(duration / 1500));
+        const startRotation = this.rotation;
+        const targetRotation = startRotation
+            + normalizeAngle(POINTER_ANGLE - landing - startRotation)
+            + turns * TAU;
+
+        const startTime = performance.now();
+        const animate = (time) => {
+            const progress = Math.min((time - startTime) / duration, 1);
+            this.rotation = startRotation + (targetRotation - startRotation) * applyEasing(theme, progress);
+            this.draw();
+
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                this.rotation = normalizeAngle(targetRotation);
+                this.isSpinning = false;
+                if (this.onFinish) this.onFinish();
+            }
+        };
+        requestAnimationFrame(animate);
+    }
+}
@@ -0,0 +1,73 @@
+// Run with: node --test tests/
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DataManager } from '../js/dataManager.js';
+import { StorageManager } from '../js/storageManager.js';
+
+const memoryStorage = () => {
+    const items = new Map();
+    return new StorageManager('test', {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, value),
+        removeItem: (key) => items.delete(key)
+    });
+};
+
+const makeManager = () => {
+    const dm = new DataManager(memoryStorage());
+    dm.participants = [
+        { id: 'a1', name: 'Ann Lee', uid: 'E100', supervisor: 'Kim', shift: 'Day', tag: '', weight: 1 },
+        { id: 'b2', name: 'Bob Day', uid: 'E200', supervisor: 'Kim', shift: 'Night', tag: '', weight: 1 }
+    ];
+    return dm;
+};
+
+// Spin_History as downloadHistory wrote it before exports switched to ISO times
+const BASELINE_SHEET = [
+    ['Time', 'Winner', 'ID', 'Supervisor', 'Shift', 'Tag', 'Prize'],
+    ['3/4/2025, 10:15:30 AM', 'Ann Lee', 'E100', 'Kim', 'Day', '', 'Mug'],
+    ['12/25/2024, 11:05:00 PM', 'Bob Day', 'E200', 'Kim', 'Night', '', ''],
+    ['1/2/2025, 12:00:01 AM', 'Someone Else', 'E999', '', '', '', 'Pen']
+];
+
+test('reads a baseline Spin_History sheet with en-US locale times', () => {
+    const dm = makeManager();
+    const { entries, duplicates, unmatched, ambiguousTimes } = dm.parseHistoryRows(BASELINE_SHEET);
+
+    assert.equal(entries.length, 2);
+    assert.equal(duplicates, 0);
+    assert.equal(ambiguousTimes, 2); // 3/4 and 1/2 could be either way round; 12/25 can't
+    assert.deepEqual(entries[0]._rawDate, new Date(2025, 2, 4, 10, 15, 30));
+    assert.equal(entries[0].winner.id, 'a1');
+    assert.equal(entries[0].prize, 'Mug');
+    assert.deepEqual(entries[1]._rawDate, new Date(2024, 11, 25, 23, 5, 0));
+    assert.deepEqual(unmatched.map(u => [u.row, u.reason]), [[4, 'No participant with ID "E999"']]);
+});
+
+test('reads day-first locale times when asked', () => {
+    const dm = makeManager();
+    const rows = [['Time', 'Winner'], ['04/03/2025, 10:15:30', 'Ann Lee'], ['25/12/2024, 23:05:00', 'Bob Day']];
+    const { entries, unmatched } = dm.parseHistoryRows(rows, { dateOrder: 'dmy' });
+
+    assert.deepEqual(entries.map(h => h._rawDate), [new Date(2025, 2, 4, 10, 15, 30), new Date(2024, 11, 25, 23, 5, 0)]);
+    assert.equal(unmatched.length, 0);
+});
+
+test('reads ISO times and date serials, rejects impossible dates', () => {
+    const dm = makeManager();
+    const iso = new Date(2025, 5, 1, 9, 30, 0).toISOString();
+    const rows = [['Time', 'ID'], [iso, 'E100'], [45720.5, 'E200'], ['2/30/2025, 10:00:00 AM', 'E100'], ['yesterday', 'E200']];
+    const { entries, unmatched } = dm.parseHistoryRows(rows);
+
+    assert.deepEqual(entries.map(h => h._rawDate), [new Date(2025, 5, 1, 9, 30, 0), new Date(2025, 2, 4, 12, 0, 0)]);
+    assert.deepEqual(unmatched.map(u => u.row), [4, 5]);
+});
+
+test('skips draws already in the history', () => {
+    const dm = makeManager();
+    dm.importHistory(dm.parseHistoryRows(BASELINE_SHEET).entries);
+    const again = dm.parseHistoryRows(BASELINE_SHEET);
+
+    assert.equal(again.entries.length, 0);
+    assert.equal(again.duplicates, 2);
+});